@@ -0,0 +1,51 @@
+/**
+ * access.js — Role-Based Access Helpers
+ * Pure functions over ACCESS_CONFIG: role expansion, permission
+ * checks, and route-rule matching.
+ * ──────────────────────────────────────────────────────────────
+ * SECURITY: Client-side checks only hide UI and route users.
+ *           Every protected endpoint must re-check roles in Xano.
+ */
+
+import { ACCESS_CONFIG } from './config.js';
+
+/**
+ * Adds every role implied by the given roles (e.g. creator → editor
+ * → moderator). Returns a de-duplicated array.
+ *
+ * @param {string[]} roles
+ * @returns {string[]}
+ */
+export function expandRoles(roles) {
+  const result = new Set();
+  const queue = [...roles];
+
+  while (queue.length > 0) {
+    const role = queue.shift();
+    if (result.has(role)) continue;
+    result.add(role);
+    queue.push(...(ACCESS_CONFIG.implies[role] || []));
+  }
+
+  return [...result];
+}
+
+/** True if any of `roles` is allowed the given permission. */
+export function hasPermission(roles, permission) {
+  const allowed = ACCESS_CONFIG.permissions[permission];
+  if (!allowed || !Array.isArray(roles)) return false;
+  return allowed.some((role) => roles.includes(role));
+}
+
+/**
+ * Finds the route rule for a pathname (longest prefix wins).
+ * Prefixes match whole segments: '/admin' matches '/admin/x', not '/administrator'.
+ *
+ * @param {string} path
+ * @returns {object|null}
+ */
+export function matchRouteRule(path) {
+  return ACCESS_CONFIG.routes
+    .filter(({ prefix }) => path === prefix || path.startsWith(`${prefix}/`))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0] || null;
+}
@@ -0,0 +1,301 @@
+/**
+ * analytics-component.js — Creator Analytics Dashboard
+ * Alpine `analytics` data component.
+ * ──────────────────────────────────────────────────────────────
+ * Handles: Date-range filters, per-post engagement over time, top
+ *          posts, subscriber growth + churn, checkout revenue by
+ *          source, video watch-through rates, and CSV export.
+ *
+ * DATA:    The server returns raw daily rows for the range; every
+ *          total, rate and chart series is aggregated here. Days with
+ *          no rows are filled with zeros so series line up.
+ *
+ * CHARTS:  Inline SVG/HTML from charts.js, bound with x-html — no
+ *          charting library or external service.
+ *
+ * SECURITY: Creator-only — /admin/analytics route rule, re-checked by
+ *           the API. Revenue is in cents.
+ */
+
+import Alpine from 'https://esm.sh/alpinejs@3.13.3';
+import { API } from './api.js';
+import { ANALYTICS_CONFIG } from './config.js';
+import { lineChart, barChart } from './charts.js';
+import { dayjs, formatNumber, formatPrice } from './utils.js';
+
+const E = ANALYTICS_CONFIG.endpoints;
+const DATE = 'YYYY-MM-DD';
+
+// ─── Helpers ─────────────────────────────────────────────────
+/** Sums `field` of `rows` per date, in the order of `days`. */
+function seriesFor(rows, days, field) {
+  const byDate = new Map();
+  rows.forEach((r) => {
+    const value = typeof field === 'function' ? field(r) : r[field];
+    byDate.set(r.date, (byDate.get(r.date) || 0) + (value || 0));
+  });
+  return days.map((d) => byDate.get(d) || 0);
+}
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+const percent = (v) => `${Math.round(v)}%`;
+
+function watchThrough(post) {
+  return post.watch_starts ? (post.watch_completes / post.watch_starts) * 100 : 0;
+}
+
+function csvCell(value) {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function downloadCsv(filename, header, rows) {
+  const csv = [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n');
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─── Component ───────────────────────────────────────────────
+export function registerAnalytics() {
+  Alpine.data('analytics', () => ({
+    // ── State ────────────────────────────────────────────
+    ranges: Object.keys(ANALYTICS_CONFIG.ranges),
+    range: ANALYTICS_CONFIG.defaultRange,   // Preset key, or 'custom'
+    from: '',                               // YYYY-MM-DD (inclusive)
+    to: '',
+    daily: [],          // [{ date, new_subscribers, churned_subscribers, active_subscribers, revenue_subscription, revenue_unlock, revenue_tip }]
+    posts: [],          // [{ id, title, content_type, created_at, watch_starts, watch_completes, avg_watch_pct, daily: [{ date, likes, comments, views }] }]
+    selectedPostId: null,   // Engagement chart: one post, or all when null
+    isLoading: true,
+    error: '',
+
+    // ── Lifecycle ────────────────────────────────────────
+    async init() {
+      this.setRange(this.range);
+    },
+
+    // ── Range Filters ────────────────────────────────────
+    setRange(key) {
+      const days = ANALYTICS_CONFIG.ranges[key];
+      if (!days) return;
+
+      this.range = key;
+      this.to = dayjs().format(DATE);
+      this.from = dayjs().subtract(days - 1, 'day').format(DATE);
+      return this.load();
+    },
+
+    /** Bound to the two <input type="date"> fields. */
+    applyCustomRange() {
+      const from = dayjs(this.from);
+      const to = dayjs(this.to);
+      if (!from.isValid() || !to.isValid() || from.isAfter(to, 'day')) {
+        this.error = 'Pick a start date on or before the end date.';
+        return;
+      }
+      if (to.diff(from, 'day') >= ANALYTICS_CONFIG.maxRangeDays) {
+        this.error = `Pick a range of at most ${ANALYTICS_CONFIG.maxRangeDays} days.`;
+        return;
+      }
+      this.range = 'custom';
+      return this.load();
+    },
+
+    async load() {
+      this.isLoading = true;
+      this.error = '';
+
+      const searchParams = { start: this.from, end: this.to };
+
+      try {
+        const [summary, posts] = await Promise.all([
+          API.admin.get(E.summary, { searchParams }).json(),
+          API.admin.get(E.posts, { searchParams }).json(),
+        ]);
+        this.daily = summary?.daily || [];
+        this.posts = posts || [];
+        if (!this.posts.some((p) => p.id === this.selectedPostId)) this.selectedPostId = null;
+      } catch (error) {
+        console.error('[Analytics] Load failed:', error);
+        this.error = 'Failed to load analytics. Please try again.';
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    // ── Aggregates ───────────────────────────────────────
+    /**
+     * Every date in the range, oldest first. Empty while the date
+     * inputs are blank or reversed (they're bound live), and never
+     * longer than `maxRangeDays`.
+     */
+    get days() {
+      const start = dayjs(this.from);
+      const end = dayjs(this.to);
+      if (!start.isValid() || !end.isValid() || start.isAfter(end, 'day')) return [];
+
+      const count = Math.min(end.diff(start, 'day') + 1, ANALYTICS_CONFIG.maxRangeDays);
+      return Array.from({ length: count }, (_, i) => start.add(i, 'day').format(DATE));
+    },
+
+    get labels() {
+      return this.days.map((d) => dayjs(d).format('MMM D'));
+    },
+
+    /** Post rows with range totals (likes / comments / views). */
+    get postTotals() {
+      return this.posts.map((p) => {
+        const rows = p.daily || [];
+        return {
+          ...p,
+          likes:        sum(rows.map((r) => r.likes || 0)),
+          comments:     sum(rows.map((r) => r.comments || 0)),
+          views:        sum(rows.map((r) => r.views || 0)),
+          watchThrough: watchThrough(p),
+        };
+      });
+    },
+
+    get totals() {
+      const posts = this.postTotals;
+      const revenue = {
+        subscription: sum(this.daily.map((d) => d.revenue_subscription || 0)),
+        unlock:       sum(this.daily.map((d) => d.revenue_unlock || 0)),
+        tip:          sum(this.daily.map((d) => d.revenue_tip || 0)),
+      };
+      const newSubs = sum(this.daily.map((d) => d.new_subscribers || 0));
+      const churned = sum(this.daily.map((d) => d.churned_subscribers || 0));
+      // Churn rate against subscribers at the start of the range
+      const startActive = this.daily.find((d) => d.date === this.from)?.active_subscribers
+        ?? this.daily[0]?.active_subscribers ?? 0;
+      const videos = this.videoPosts;
+
+      return {
+        likes:     sum(posts.map((p) => p.likes)),
+        comments:  sum(posts.map((p) => p.comments)),
+        views:     sum(posts.map((p) => p.views)),
+        newSubs,
+        churned,
+        netSubs:   newSubs - churned,
+        churnRate: startActive ? (churned / startActive) * 100 : 0,
+        revenue,
+        revenueTotal: revenue.subscription + revenue.unlock + revenue.tip,
+        watchThrough: videos.length
+          ? (sum(videos.map((p) => p.watch_completes)) / sum(videos.map((p) => p.watch_starts))) * 100
+          : 0,
+      };
+    },
+
+    get topPosts() {
+      return [...this.postTotals]
+        .sort((a, b) => (b.likes + b.comments) - (a.likes + a.comments))
+        .slice(0, ANALYTICS_CONFIG.topPostsLimit);
+    },
+
+    /** Videos someone started in the range, best watch-through first. */
+    get videoPosts() {
+      return this.postTotals
+        .filter((p) => p.content_type === 'video' && p.watch_starts > 0)
+        .sort((a, b) => b.watchThrough - a.watchThrough);
+    },
+
+    // ── Charts (x-html) ──────────────────────────────────
+    get engagementChart() {
+      const rows = this.selectedPostId
+        ? this.posts.find((p) => p.id === this.selectedPostId)?.daily || []
+        : this.posts.flatMap((p) => p.daily || []);
+
+      return lineChart([
+        { name: 'Views',    values: seriesFor(rows, this.days, 'views') },
+        { name: 'Likes',    values: seriesFor(rows, this.days, 'likes') },
+        { name: 'Comments', values: seriesFor(rows, this.days, 'comments') },
+      ], this.labels);
+    },
+
+    get subscriberChart() {
+      return lineChart([
+        { name: 'New',     values: seriesFor(this.daily, this.days, 'new_subscribers') },
+        { name: 'Churned', values: seriesFor(this.daily, this.days, 'churned_subscribers') },
+      ], this.labels);
+    },
+
+    get revenueChart() {
+      return lineChart([
+        { name: 'Subscriptions', values: seriesFor(this.daily, this.days, 'revenue_subscription') },
+        { name: 'Unlocks',       values: seriesFor(this.daily, this.days, 'revenue_unlock') },
+        { name: 'Tips',          values: seriesFor(this.daily, this.days, 'revenue_tip') },
+      ], this.labels, { format: formatPrice });
+    },
+
+    get topPostsChart() {
+      return barChart(this.topPosts.map((p) => ({
+        label: p.title || `Post ${p.id}`,
+        value: p.likes + p.comments,
+      })));
+    },
+
+    get watchThroughChart() {
+      return barChart(this.videoPosts.map((p) => ({
+        label: p.title || `Video ${p.id}`,
+        value: p.watchThrough,
+      })), { format: percent });
+    },
+
+    // ── Template Formatters ──────────────────────────────
+    formatNumber,
+    formatPrice,
+    percent,
+
+    // ── CSV Export ───────────────────────────────────────
+    /** @param {'daily'|'posts'} kind */
+    exportCsv(kind) {
+      const filename = `analytics-${kind}-${this.from}_${this.to}.csv`;
+
+      if (kind === 'daily') {
+        const byDate = new Map(this.daily.map((d) => [d.date, d]));
+        downloadCsv(
+          filename,
+          ['date', 'new_subscribers', 'churned_subscribers', 'active_subscribers',
+            'revenue_subscription', 'revenue_unlock', 'revenue_tip'],
+          this.days.map((date) => {
+            const d = byDate.get(date) || {};
+            return [
+              date,
+              d.new_subscribers || 0,
+              d.churned_subscribers || 0,
+              d.active_subscribers ?? '',
+              ((d.revenue_subscription || 0) / 100).toFixed(2),
+              ((d.revenue_unlock || 0) / 100).toFixed(2),
+              ((d.revenue_tip || 0) / 100).toFixed(2),
+            ];
+          }),
+        );
+        return;
+      }
+
+      downloadCsv(
+        filename,
+        ['post_id', 'title', 'type', 'created_at', 'views', 'likes', 'comments',
+          'watch_starts', 'watch_completes', 'watch_through_pct', 'avg_watch_pct'],
+        this.postTotals.map((p) => [
+          p.id,
+          p.title,
+          p.content_type,
+          p.created_at ? dayjs(p.created_at).format(DATE) : '',
+          p.views,
+          p.likes,
+          p.comments,
+          p.watch_starts || 0,
+          p.watch_completes || 0,
+          p.watch_starts ? p.watchThrough.toFixed(1) : '',
+          p.avg_watch_pct ?? '',
+        ]),
+      );
+    },
+  }));
+}
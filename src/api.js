@@ -4,11 +4,22 @@
  * ──────────────────────────────────────────────────────────────
  * SECURITY: Auth tokens are injected via beforeRequest hooks.
  *           Never expose admin keys in client-side code.
+ * SESSION:  A 401 triggers one silent token refresh + replay via the
+ *           shared afterResponse hook. Concurrent 401s wait on the
+ *           same in-flight refresh; only a failed refresh logs out.
+ * CREATOR:  Feed, public, checkout and admin requests are scoped to the
+ *           active creator (creator.js) via `creator_id`/`creator_slug`.
+ * MOBILE:   Per-group timeouts, exponential backoff for GETs, and an
+ *           IndexedDB outbox (outbox.js) for mutations made offline,
+ *           replayed when the `online` event fires.
  * SAFARI:   ky@1.7.2 works in Safari 14+ (uses native fetch).
  */
 
 import ky from 'https://esm.sh/ky@1.7.2';
-import { API_PREFIXES, AUTH_CONFIG } from './config.js';
+import { API_PREFIXES, API_CONFIG, AUTH_CONFIG, CREATOR_CONFIG } from './config.js';
+import { getCreatorContext, getRoutePath, creatorRoute } from './creator.js';
+import { matchRouteRule } from './access.js';
+import { enqueue, listPending, remove } from './outbox.js';
 
 // ─── Auth Header Injection ───────────────────────────────────
 const addAuth = (request) => {
@@ -18,48 +29,298 @@ const addAuth = (request) => {
   }
 };
 
+// ─── Creator Scoping ─────────────────────────────────────────
+// Adds creator_id (or creator_slug before the profile has loaded).
+// Returns a new Request, so ky skips any later beforeRequest hooks —
+// keep this LAST in the list.
+const addCreator = async (request) => {
+  const { id, slug } = getCreatorContext();
+  const { params } = CREATOR_CONFIG;
+  if (!id && !slug) return;
+
+  const url = new URL(request.url);
+  if (url.searchParams.has(params.id) || url.searchParams.has(params.slug)) return;
+  id ? url.searchParams.set(params.id, id) : url.searchParams.set(params.slug, slug);
+
+  const hasBody = !['GET', 'HEAD'].includes(request.method);
+  return new Request(url, {
+    method:      request.method,
+    headers:     request.headers,
+    body:        hasBody ? await request.clone().blob() : undefined,
+    signal:      request.signal,
+    credentials: request.credentials,
+  });
+};
+
+// ─── Session Refresh ─────────────────────────────────────────
+// Single in-flight refresh shared by every request that hits a 401.
+let refreshPromise = null;
+
+/**
+ * Exchanges the current token for a fresh one.
+ * Resolves with the new token; rejects if the session is dead.
+ */
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = ky
+      .post(AUTH_CONFIG.endpoints.refreshToken, { hooks: { beforeRequest: [addAuth] } })
+      .json()
+      .then((res) => {
+        if (!res?.auth_token) throw new Error('No token returned from refresh');
+        localStorage.setItem(AUTH_CONFIG.storage.authToken, res.auth_token);
+        return res.auth_token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Ends the session — via AuthManager once main-site.js has set it.
+ * Before that (AuthManager.init still running) storage is cleared
+ * and only pages that need a role redirect; public pages stay put.
+ */
+function expireSession() {
+  if (window.authManager) {
+    window.authManager.logout({ expired: true });
+    return;
+  }
+
+  localStorage.removeItem(AUTH_CONFIG.storage.authToken);
+  localStorage.removeItem(AUTH_CONFIG.storage.userData);
+  localStorage.removeItem(AUTH_CONFIG.storage.creatorData);
+
+  const rule = matchRouteRule(getRoutePath().replace(/\/$/, '') || '/');
+  if (rule?.role) window.location.href = creatorRoute(AUTH_CONFIG.routes.login);
+}
+
+/**
+ * Refresh for transports outside ky (the realtime socket's auth frame,
+ * XHR upload chunks). A dead session ends exactly as a 401 through ky
+ * would. Resolves with the new token; rejects if the session is dead.
+ */
+export async function renewSession() {
+  try {
+    return await refreshSession();
+  } catch (err) {
+    console.error('[API] Session refresh failed:', err);
+    expireSession();
+    throw err;
+  }
+}
+
+// ─── 401 Handling (refresh → replay → logout) ────────────────
+const handleExpiredSession = async (request, options, response) => {
+  if (response.status !== 401) return;
+
+  // Anonymous requests (login, signup) have no session to refresh
+  if (!localStorage.getItem(AUTH_CONFIG.storage.authToken)) return;
+
+  let token;
+  try {
+    token = await refreshSession();
+  } catch (err) {
+    console.error('[API] Session refresh failed:', err);
+    expireSession();
+    return;
+  }
+
+  // Replay once with the plain ky instance (no hooks → no refresh loop)
+  request.headers.set('Authorization', `Bearer ${token}`);
+  return ky(request);
+};
+
+const authHooks = {
+  beforeRequest: [addAuth],
+  afterResponse: [handleExpiredSession],
+};
+
+const creatorHooks = {
+  beforeRequest: [addAuth, addCreator],
+  afterResponse: [handleExpiredSession],
+};
+
+// ─── Retry Policy ────────────────────────────────────────────
+// Only idempotent GETs are retried. Mutations go through the outbox.
+const retry = {
+  limit:        API_CONFIG.retry.limit,
+  methods:      ['get'],
+  statusCodes:  API_CONFIG.retry.statusCodes,
+  backoffLimit: API_CONFIG.retry.backoffLimit,
+  delay:        (attempt) => API_CONFIG.retry.baseDelay * 2 ** (attempt - 1),
+};
+
 // ─── API Instances ───────────────────────────────────────────
 // Each instance is scoped to its Xano API group with auth where needed.
 
 export const API = {
   auth: ky.create({
     prefixUrl: API_PREFIXES.auth,
-    hooks: { beforeRequest: [addAuth] },
+    timeout:   API_CONFIG.timeouts.auth,
+    retry,
+    hooks:     authHooks,
   }),
 
   feed: ky.create({
     prefixUrl: API_PREFIXES.feed,
-    hooks: { beforeRequest: [addAuth] },
+    timeout:   API_CONFIG.timeouts.feed,
+    retry,
+    hooks:     creatorHooks,
   }),
 
   comment: ky.create({
     prefixUrl: API_PREFIXES.comment,
-    hooks: { beforeRequest: [addAuth] },
+    timeout:   API_CONFIG.timeouts.comment,
+    retry,
+    hooks:     authHooks,
   }),
 
   public: ky.create({
     prefixUrl: API_PREFIXES.public,
+    timeout:   API_CONFIG.timeouts.public,
+    retry,
+    hooks:     { beforeRequest: [addCreator] },
   }),
 
   checkout: ky.create({
     prefixUrl: API_PREFIXES.checkout,
-    hooks: { beforeRequest: [addAuth] },
+    timeout:   API_CONFIG.timeouts.checkout,
+    retry,
+    hooks:     creatorHooks,
   }),
 
   admin: ky.create({
     prefixUrl: API_PREFIXES.admin,
-    hooks: { beforeRequest: [addAuth] },
+    timeout:   API_CONFIG.timeouts.admin,
+    retry,
+    hooks:     creatorHooks,
   }),
 
   profile: ky.create({
     prefixUrl: API_PREFIXES.profile,
-    hooks: { beforeRequest: [addAuth] },
+    timeout:   API_CONFIG.timeouts.profile,
+    retry,
+    hooks:     authHooks,
   }),
 };
 
 // ─── Standalone authenticated fetch (for notification system, etc.) ──
 export const authenticatedKy = ky.create({
-  hooks: { beforeRequest: [addAuth] },
+  retry,
+  hooks: authHooks,
 });
 
+// ─── Offline Outbox ──────────────────────────────────────────
+// Snapshot of queued mutations, broadcast as `outbox:change` so
+// components can mark posts/comments as pending.
+let pendingSnapshot = [];
+let isFlushing = false;
+
+/** Signed-in user's id (as stored by AuthManager), or null. */
+function currentUserId() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.userData) || 'null')?.id ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function idempotencyHeaders(idempotencyKey) {
+  return idempotencyKey ? { [API_CONFIG.outbox.idempotencyHeader]: idempotencyKey } : {};
+}
+
+async function publishPending() {
+  const userId = currentUserId();
+  pendingSnapshot = (await listPending()).filter((e) => e.userId === userId);
+  window.dispatchEvent(new CustomEvent('outbox:change', { detail: { pending: pendingSnapshot } }));
+}
+
+/** Returns the mutations still waiting to be sent. */
+export function getPendingMutations() {
+  return pendingSnapshot;
+}
+
+/**
+ * Sends a POST through an API group, or queues it in the outbox when
+ * the network is unreachable. Server rejections (any HTTP response)
+ * and timeouts are re-thrown so callers can roll back their optimistic
+ * update — a timed-out write may already be saved. Every attempt
+ * carries the same idempotency key, so the server can drop a replay
+ * of a request that did arrive.
+ *
+ * @param {string} group - Key of `API` (e.g. 'comment').
+ * @param {string} path  - Endpoint path within the group.
+ * @param {object} json  - Request body.
+ * @param {object} [opts]
+ * @param {string} [opts.key]  - Collapses repeated toggles on the same target.
+ * @param {object} [opts.meta] - Extra data echoed back in `outbox:flushed`.
+ * @returns {Promise<Response|{queued: true}>}
+ */
+export async function sendMutation(group, path, json, { key, meta } = {}) {
+  const idempotencyKey = crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+  if (navigator.onLine) {
+    try {
+      return await API[group].post(path, { json, headers: idempotencyHeaders(idempotencyKey) });
+    } catch (err) {
+      // Only fetch's TypeError means the request never got through
+      if (!(err instanceof TypeError)) throw err;
+    }
+  }
+
+  await enqueue({ key, group, path, json, meta, idempotencyKey, userId: currentUserId() });
+  await publishPending();
+  return { queued: true };
+}
+
+/**
+ * Replays queued mutations in order. Stops at the first network
+ * failure; drops entries the server rejects so they don't block
+ * the queue, and entries queued by another user (shared device) so
+ * they never replay under this user's token. Dispatches
+ * `outbox:flushed` with the sent entries.
+ */
+export async function flushOutbox() {
+  if (isFlushing || !navigator.onLine) return;
+  if (!localStorage.getItem(AUTH_CONFIG.storage.authToken)) return;
+
+  const userId = currentUserId();
+  if (userId === null) return;   // AuthManager hasn't stored the user yet
+
+  isFlushing = true;
+  const sent = [];
+
+  try {
+    for (const entry of await listPending()) {
+      if (entry.userId !== userId) {
+        console.warn('[Outbox] Dropping mutation queued by another user:', entry);
+        await remove(entry.id);
+        continue;
+      }
+      try {
+        await API[entry.group].post(entry.path, {
+          json:    entry.json,
+          headers: idempotencyHeaders(entry.idempotencyKey),
+        });
+        sent.push(entry);
+      } catch (err) {
+        if (!err.response) break; // Still offline — keep the rest queued
+        console.error('[Outbox] Mutation rejected, dropping:', entry, err);
+      }
+      await remove(entry.id);
+    }
+  } finally {
+    isFlushing = false;
+    await publishPending();
+    if (sent.length > 0) {
+      window.dispatchEvent(new CustomEvent('outbox:flushed', { detail: { sent } }));
+    }
+  }
+}
+
+window.addEventListener('online', flushOutbox);
+publishPending().then(flushOutbox); // Leftovers from a previous session
+
 export default API;
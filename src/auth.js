@@ -1,20 +1,77 @@
 /**
  * auth.js — Authentication Manager
- * Handles JWE token validation, user/creator data, folder-based routing.
+ * Handles JWE token validation, user/creator data, role-based routing.
  * ──────────────────────────────────────────────────────────────
+ * CREATOR:  The creator profile, roles and subscription state are
+ *           resolved for the active creator (see creator.js).
+ * ACCESS:   Route rules + permissions live in ACCESS_CONFIG; this
+ *           class evaluates them and exposes `can(permission)`.
  * SECURITY: Token validated server-side via Xano /auth/get/me.
  *           Invalid tokens are cleared immediately.
  * SAFARI:   Avoids top-level await; uses .init() pattern instead.
  */
 
 import { API } from './api.js';
-import { AUTH_CONFIG } from './config.js';
+import { AUTH_CONFIG, PUSH_CONFIG } from './config.js';
+import {
+  setCreatorId,
+  getRoutePath,
+  creatorRoute,
+  isSubscribedTo,
+  getSubscriptionTierId,
+} from './creator.js';
+import { expandRoles, hasPermission, matchRouteRule } from './access.js';
+import { unsubscribePush } from './push.js';
+import { deleteOutbox } from './outbox.js';
+
+// ─── Roles ───────────────────────────────────────────────────
+// Roles every signed-in user can derive locally; anything else
+// (moderator, editor, creator) comes from get_admin_check.
+const BASE_ROLES = ['user', 'subscriber'];
+
+function readStaffRoles(userId, creatorId) {
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(AUTH_CONFIG.storage.staffRoles) || 'null');
+    return cached?.userId === userId && cached?.creatorId === creatorId ? cached.roles : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves a user's roles for a creator. `get_admin_check` (scoped by
+ * creator_id) may return `true`, `{ is_admin }` (legacy → creator),
+ * and/or `{ roles: [...] }`. Its result is cached for the tab session,
+ * so fans don't pay an extra request per navigation. Any failure just
+ * means no staff roles.
+ *
+ * @param {object} user - Needs `id` and `subscribed`.
+ * @param {number} creatorId
+ * @param {object} [opts]
+ * @param {boolean} [opts.fresh] - Skip the cache (staff-only pages).
+ * @returns {Promise<string[]>} Expanded roles.
+ */
+export async function loadRoles(user, creatorId, { fresh = false } = {}) {
+  const roles = ['user'];
+  if (user.subscribed) roles.push('subscriber');
 
-// ─── Folder Detection ────────────────────────────────────────
-function getCurrentFolder() {
-  const path = window.location.pathname;
-  const segments = path.replace(/^\/|\/$/g, '').split('/');
-  return segments[0] || null;
+  let staff = fresh ? null : readStaffRoles(user.id, creatorId);
+  if (!staff) {
+    staff = [];
+    try {
+      const res = await API.admin.get('creator_profile/get_admin_check').json();
+      if (res === true || res?.is_admin === true) staff.push('creator');
+      if (Array.isArray(res?.roles)) staff.push(...res.roles);
+      sessionStorage.setItem(
+        AUTH_CONFIG.storage.staffRoles,
+        JSON.stringify({ userId: user.id, creatorId, roles: staff }),
+      );
+    } catch {
+      // Not staff for this creator (or endpoint unavailable) — not cached
+    }
+  }
+
+  return expandRoles([...roles, ...staff]);
 }
 
 // ─── Auth Manager Class ──────────────────────────────────────
@@ -24,7 +81,8 @@ export class AuthManager {
     this.creator = null;
     this.isAuthenticated = false;
     this.isAdmin = false;
-    this.currentFolder = getCurrentFolder();
+    this.roles = [];
+    this.routeRule = matchRouteRule(getRoutePath().replace(/\/$/, '') || '/');
   }
 
   /**
@@ -46,19 +104,36 @@ export class AuthManager {
       ]);
 
       const userData = userResponse.user_information || userResponse;
+      setCreatorId(creatorResponse?.id);
 
       this.user = {
-        id:         userData.id,
-        name:       userData.name,
-        email:      userData.email,
-        avatar_url: userData.avatar_url,
-        subscribed: !!userData.subscribed,
-        created_at: userData.created_at,
+        id:            userData.id,
+        name:          userData.name,
+        email:         userData.email,
+        avatar_url:    userData.avatar_url,
+        subscriptions: userData.subscriptions || [],
+        // Subscription to the ACTIVE creator (kept for existing bindings)
+        subscribed:    isSubscribedTo(userData, creatorResponse?.id),
+        tier_id:       getSubscriptionTierId(userData, creatorResponse?.id),
+        created_at:    userData.created_at,
+        notification_prefs: userData.notification_prefs || null,
+        analytics_consent:  userData.analytics_consent === true,   // tracking.js opt-in
       };
 
       this.creator = creatorResponse;
       this.isAuthenticated = true;
 
+      // Authenticated user on a guest-only page (/auth/*) → feed
+      if (this.routeRule?.guestOnly) {
+        window.location.href = creatorRoute(AUTH_CONFIG.routes.feed);
+        return;
+      }
+
+      this.roles = await this._loadRoles();
+      this.user.roles = this.roles;
+      this.isAdmin = this.roles.includes('creator');
+      window.isAdmin = this.isAdmin;
+
       // Persist for other scripts / tabs
       localStorage.setItem(AUTH_CONFIG.storage.userData, JSON.stringify(this.user));
       localStorage.setItem(AUTH_CONFIG.storage.creatorData, JSON.stringify(this.creator));
@@ -67,7 +142,7 @@ export class AuthManager {
       window.currentUser = this.user;
       window.creatorProfile = this.creator;
 
-      await this._handleAuthenticated();
+      this._handleAuthenticated();
     } catch (error) {
       console.error('[Auth] Validation failed:', error);
       this._clearStorage();
@@ -75,41 +150,31 @@ export class AuthManager {
     }
   }
 
-  // ── Routing Logic ────────────────────────────────────────
-  async _handleAuthenticated() {
-    // Authenticated user on /auth/* → redirect to feed
-    if (this.currentFolder === 'auth') {
-      window.location.href = AUTH_CONFIG.routes.feed;
-      return;
-    }
+  // ── Roles ────────────────────────────────────────────────
+  /**
+   * Resolves the user's roles for the active creator (see loadRoles).
+   * Pages that need a staff role always re-check with the server.
+   */
+  async _loadRoles() {
+    const rule = this.routeRule;
+    const fresh = !!rule?.role && !BASE_ROLES.includes(rule.role);
+    return loadRoles(this.user, this.creator?.id, { fresh });
+  }
 
-    // Admin folder → verify admin status
-    if (this.currentFolder === 'admin') {
-      try {
-        const adminCheck = await API.admin.get('creator_profile/get_admin_check').json();
-        this.isAdmin = adminCheck === true || adminCheck?.is_admin === true;
-
-        if (!this.isAdmin) {
-          window.location.href = AUTH_CONFIG.routes.feed;
-          return;
-        }
-        window.isAdmin = true;
-      } catch {
-        window.location.href = AUTH_CONFIG.routes.feed;
-        return;
-      }
-    }
+  // ── Routing Logic ────────────────────────────────────────
+  _handleAuthenticated() {
+    const rule = this.routeRule;
+    if (!rule?.role || this.roles.includes(rule.role)) return; // Access granted
 
-    // /membership/* or other protected pages — access granted
+    window.location.href = creatorRoute(rule.redirect || AUTH_CONFIG.routes.feed);
   }
 
   _handleUnauthenticated() {
-    if (this.currentFolder === 'auth') return; // Already on login page
-    if (this.currentFolder === 'membership' || this.currentFolder === 'admin') {
-      window.location.href = AUTH_CONFIG.routes.login;
-      return;
+    // Any page that requires a role sends guests to login
+    if (this.routeRule?.role) {
+      window.location.href = creatorRoute(AUTH_CONFIG.routes.login);
     }
-    // Public pages — do nothing
+    // Guest-only and public pages — do nothing
   }
 
   // ── Public Methods ───────────────────────────────────────
@@ -117,22 +182,42 @@ export class AuthManager {
     await this.init();
   }
 
-  logout() {
+  /** True if the current user holds a role allowed `permission`. */
+  can(permission) {
+    return hasPermission(this.roles, permission);
+  }
+
+  /**
+   * @param {object}  [opts]
+   * @param {boolean} [opts.expired] - The session is already dead (failed
+   *   refresh), so push is only dropped locally — no authenticated calls.
+   */
+  async logout({ expired = false } = {}) {
+    // Stop pushes to this device — bounded so a slow API can't block logout
+    await Promise.race([
+      unsubscribePush({ localOnly: expired }).catch(() => {}),
+      new Promise((r) => setTimeout(r, PUSH_CONFIG.logoutTimeout)),
+    ]);
+
     this._clearStorage();
     this.user = null;
     this.creator = null;
     this.isAuthenticated = false;
     this.isAdmin = false;
+    this.roles = [];
     window.currentUser = null;
     window.creatorProfile = null;
     window.isAdmin = false;
-    window.location.href = AUTH_CONFIG.routes.login;
+    window.location.href = creatorRoute(AUTH_CONFIG.routes.login);
   }
 
   _clearStorage() {
     localStorage.removeItem(AUTH_CONFIG.storage.authToken);
     localStorage.removeItem(AUTH_CONFIG.storage.userData);
     localStorage.removeItem(AUTH_CONFIG.storage.creatorData);
+    sessionStorage.removeItem(AUTH_CONFIG.storage.staffRoles);
+    // Queued likes/comments/messages must not replay under the next user
+    deleteOutbox().catch((err) => console.warn('[Auth] Outbox delete failed:', err));
   }
 }
 
@@ -141,10 +226,10 @@ export function initCrossTabSync() {
   window.addEventListener('storage', (event) => {
     if (event.key === 'login_event') {
       const token = localStorage.getItem(AUTH_CONFIG.storage.authToken);
-      if (token) window.location.href = AUTH_CONFIG.routes.feed;
+      if (token) window.location.href = creatorRoute(AUTH_CONFIG.routes.feed);
     }
     if (event.key === AUTH_CONFIG.storage.authToken && !event.newValue) {
-      window.location.href = AUTH_CONFIG.routes.login;
+      window.location.href = creatorRoute(AUTH_CONFIG.routes.login);
     }
   });
 }
@@ -4,16 +4,21 @@
  * ──────────────────────────────────────────────────────────────
  * SECURITY: Uploads use the user's JWE token, never an admin key.
  * SAFARI:   Uses FormData (supported since Safari 5).
+ * PROGRESS: The file goes through ChunkedUpload (upload.js). Progress
+ *           is mirrored to `data-upload-progress` on each avatar and,
+ *           when Alpine is on the page, to `$store.avatarUpload`.
  */
 
-import ky from 'https://esm.sh/ky@1.7.2';
+import { authenticatedKy } from './api.js';
 import { API_PREFIXES, AUTH_CONFIG } from './config.js';
+import { ChunkedUpload } from './upload.js';
 
 const AVATAR_SELECTOR = '[data-element="user-avatar"]';
 
 export class AvatarUploadManager {
   constructor() {
     this._fileInput = null;
+    this._upload = null;   // ChunkedUpload in flight
   }
 
   init() {
@@ -32,10 +37,24 @@ export class AvatarUploadManager {
     });
 
     // Handle file selection
-    this._fileInput.addEventListener('change', () => this._upload());
+    this._fileInput.addEventListener('change', () => this._startUpload());
+
+    // Alpine store for progress bars / cancel buttons
+    if (window.Alpine) {
+      window.Alpine.store('avatarUpload', {
+        isUploading: false,
+        progress: 0,
+        cancel: () => this.cancel(),
+      });
+    }
+  }
+
+  /** Aborts the avatar upload in flight, if any. */
+  cancel() {
+    this._upload?.cancel();
   }
 
-  async _upload() {
+  async _startUpload() {
     const file = this._fileInput.files[0];
     if (!file) return;
 
@@ -47,15 +66,17 @@ export class AvatarUploadManager {
 
     const avatars = document.querySelectorAll(AVATAR_SELECTOR);
     avatars.forEach((img) => (img.style.opacity = '0.5'));
+    this._setProgress(0, true);
 
     try {
-      const formData = new FormData();
-      formData.append('content_file', file);
+      this._upload = new ChunkedUpload(file, {
+        onProgress: ({ percent }) => this._setProgress(percent, true),
+      });
+      const uploadId = await this._upload.start();
 
-      const response = await ky
+      const response = await authenticatedKy
         .post(`${API_PREFIXES.avatar}/photo_avatar`, {
-          body: formData,
-          headers: { Authorization: `Bearer ${token}` },
+          json: { upload_id: uploadId },
         })
         .json();
 
@@ -63,14 +84,31 @@ export class AvatarUploadManager {
       this._syncLocal(newUrl);
       this._syncUI(newUrl);
     } catch (err) {
-      console.error('[Avatar] Upload failed:', err);
-      alert('Failed to upload image. Please try again.');
+      if (err.name !== 'AbortError') {
+        console.error('[Avatar] Upload failed:', err);
+        alert('Failed to upload image. Please try again.');
+      }
     } finally {
+      this._upload = null;
+      this._setProgress(0, false);
       avatars.forEach((img) => (img.style.opacity = '1'));
       this._fileInput.value = '';
     }
   }
 
+  _setProgress(percent, isUploading) {
+    document.querySelectorAll(AVATAR_SELECTOR).forEach((el) => {
+      if (isUploading) el.dataset.uploadProgress = percent;
+      else delete el.dataset.uploadProgress;
+    });
+
+    const store = window.Alpine?.store('avatarUpload');
+    if (store) {
+      store.isUploading = isUploading;
+      store.progress = percent;
+    }
+  }
+
   _syncLocal(newUrl) {
     if (window.currentUser) window.currentUser.avatar_url = newUrl;
     const stored = JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.userData) || '{}');
@@ -0,0 +1,91 @@
+/**
+ * charts.js — Inline SVG Charts
+ * Minimal line and bar charts for the analytics dashboard.
+ * ──────────────────────────────────────────────────────────────
+ * Returns SVG markup strings for `x-html`, so no charting library
+ * or external service is loaded. Charts scale with their container
+ * through `viewBox`; sizes and colours come from ANALYTICS_CONFIG.
+ */
+
+import { ANALYTICS_CONFIG } from './config.js';
+import { escapeHtml, formatNumber } from './utils.js';
+
+const { width: W, height: H, colors } = ANALYTICS_CONFIG.chart;
+const PAD = { top: 12, right: 12, bottom: 24, left: 44 };
+
+// ─── Helpers ─────────────────────────────────────────────────
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const step = 10 ** Math.floor(Math.log10(value));
+  return Math.ceil(value / step) * step;
+}
+
+function legend(series) {
+  return series.map((s, i) =>
+    `<span style="display:inline-flex;align-items:center;gap:4px;margin-right:12px;font-size:0.75rem">
+       <span style="width:10px;height:10px;border-radius:2px;background:${s.color || colors[i % colors.length]}"></span>${escapeHtml(s.name)}
+     </span>`,
+  ).join('');
+}
+
+function empty(height) {
+  return `<div style="height:${height}px;display:flex;align-items:center;justify-content:center;opacity:0.6">No data for this range</div>`;
+}
+
+// ─── Line Chart ──────────────────────────────────────────────
+/**
+ * @param {Array<{ name: string, values: number[], color?: string }>} series
+ * @param {string[]} labels - One x label per value (e.g. dates).
+ * @param {object}   [opts]
+ * @param {Function} [opts.format] - Y-axis label formatter.
+ * @returns {string} SVG + legend markup.
+ */
+export function lineChart(series, labels, { format = formatNumber } = {}) {
+  if (labels.length === 0) return empty(H);
+
+  const max = niceMax(Math.max(0, ...series.flatMap((s) => s.values)));
+  const innerW = W - PAD.left - PAD.right;
+  const innerH = H - PAD.top - PAD.bottom;
+  const x = (i) => PAD.left + (labels.length === 1 ? innerW / 2 : (i / (labels.length - 1)) * innerW);
+  const y = (v) => PAD.top + innerH - (v / max) * innerH;
+
+  const grid = [0, 0.5, 1].map((f) => {
+    const v = max * f;
+    return `<line x1="${PAD.left}" x2="${W - PAD.right}" y1="${y(v)}" y2="${y(v)}" stroke="currentColor" stroke-opacity="0.12"/>
+            <text x="${PAD.left - 6}" y="${y(v) + 4}" text-anchor="end" font-size="10" fill="currentColor" fill-opacity="0.6">${escapeHtml(format(v))}</text>`;
+  }).join('');
+
+  const lines = series.map((s, i) => {
+    const points = s.values.map((v, j) => `${x(j).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+    return `<polyline points="${points}" fill="none" stroke="${s.color || colors[i % colors.length]}" stroke-width="2" stroke-linejoin="round"/>`;
+  }).join('');
+
+  const last = labels.length - 1;
+  const xLabels = `
+    <text x="${x(0)}" y="${H - 6}" font-size="10" fill="currentColor" fill-opacity="0.6">${escapeHtml(labels[0])}</text>
+    <text x="${x(last)}" y="${H - 6}" text-anchor="end" font-size="10" fill="currentColor" fill-opacity="0.6">${escapeHtml(labels[last])}</text>`;
+
+  return `<svg viewBox="0 0 ${W} ${H}" width="100%" role="img" style="display:block">${grid}${lines}${xLabels}</svg>
+          <div style="margin-top:6px">${legend(series)}</div>`;
+}
+
+// ─── Bar Chart (Horizontal) ──────────────────────────────────
+/**
+ * @param {Array<{ label: string, value: number }>} rows
+ * @param {object}   [opts]
+ * @param {Function} [opts.format] - Value label formatter.
+ * @returns {string} Markup (HTML bars — labels wrap better than SVG text).
+ */
+export function barChart(rows, { format = formatNumber } = {}) {
+  if (rows.length === 0) return empty(H / 2);
+
+  const max = Math.max(...rows.map((r) => r.value)) || 1;
+  return rows.map((r) => `
+    <div style="display:flex;align-items:center;gap:8px;margin:4px 0;font-size:0.8125rem">
+      <span style="flex:0 0 35%;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${escapeHtml(r.label)}</span>
+      <span style="flex:1;height:10px;border-radius:5px;background:rgba(127,127,127,0.15)">
+        <span style="display:block;height:100%;width:${((r.value / max) * 100).toFixed(1)}%;border-radius:5px;background:${colors[0]}"></span>
+      </span>
+      <span style="flex:0 0 auto;min-width:48px;text-align:right">${escapeHtml(format(r.value))}</span>
+    </div>`).join('');
+}
@@ -0,0 +1,251 @@
+/**
+ * checkout.js — Stripe Checkout Helpers
+ * Subscription checkout, one-off pay-per-view unlocks for posts
+ * and messages, and tips.
+ * ──────────────────────────────────────────────────────────────
+ * SUBSCRIPTIONS: startSubscriptionCheckout quotes the price first
+ *       (promo code and free trial applied server-side) and shows it
+ *       in the popup; the user confirms before the Stripe redirect.
+ * FLOW: startCheckout → Stripe → success_url with ?unlocked=type:id
+ *       → the page calls readUnlockReturn() and pollUnlocked() to
+ *       refresh that one item in place.
+ *
+ * SECURITY: Unlock prices come from the item on the server — the
+ *           client only sends item_type + item_id, never an amount.
+ *           Tips are the exception (the fan picks the amount), so the
+ *           server re-applies CHECKOUT_CONFIG.tips bounds.
+ */
+
+import { API } from './api.js';
+import { CHECKOUT_CONFIG, PROMO_CONFIG } from './config.js';
+import { createPopupState, handleApiError, triggerError } from './popup.js';
+import { normalizePromoCode, getStoredPromo, clearStoredPromo } from './promo.js';
+import { formatPrice } from './utils.js';
+
+const E = CHECKOUT_CONFIG.endpoints;
+
+/**
+ * Creates a Checkout session and redirects to it, showing the locked
+ * "Processing" popup on `component` meanwhile.
+ *
+ * @param {object} component - Alpine component data (`popup`, `logout`).
+ * @param {string} endpoint  - Path within API.checkout.
+ * @param {object} json      - Session parameters.
+ */
+export async function startCheckout(component, endpoint, json) {
+  component.popup = {
+    ...component.popup,
+    show: true,
+    header: 'Processing',
+    message: 'Redirecting...',
+    isLocked: true,
+    showCloseIcon: false,
+    btnText: 'Loading...',
+  };
+
+  try {
+    const res = await API.checkout.post(endpoint, { json }).json();
+    if (res?.url) window.location.href = res.url;
+    else triggerError(component, 'checkout');   // Unlocks the "Processing" popup
+  } catch (e) {
+    handleApiError(component, e);
+  }
+}
+
+/**
+ * Opens the checkout popup for a subscription: quotes the price with
+ * the remembered promo code, then waits for the user to confirm.
+ *
+ * @param {object} component
+ * @param {object} session - { price_id, mode, tier_id? } for the session.
+ */
+export function startSubscriptionCheckout(component, session) {
+  component.popup = {
+    ...createPopupState(),
+    show: true,
+    header: 'Checkout',
+    message: 'Checking price...',
+    isLocked: true,
+    showCloseIcon: false,
+    btnText: 'Loading...',
+    showPromo: true,
+    promoCode: getStoredPromo(),
+  };
+  component._checkoutSession = session;
+  return quoteSubscription(component);
+}
+
+/** "Apply" next to the popup's promo field. */
+export function applyPromoCode(component) {
+  if (!component._checkoutSession) return;
+  component.popup.isLocked = true;
+  component.popup.btnText = 'Loading...';
+  return quoteSubscription(component);
+}
+
+/**
+ * Prices a subscription session with a promo code. Resolves with the
+ * quote ({ amount, original_amount, interval, trial_days, promo_valid,
+ * promo_message }), the normalised `code`, the `promoCode` to send to
+ * checkout (null unless accepted) and a `promoError` for the UI. A
+ * rejected code is forgotten if it was the remembered one.
+ *
+ * @param {object} session - { price_id, mode, tier_id? }
+ * @param {string} typed   - Code as entered (or remembered).
+ */
+export async function quoteCheckout(session, typed) {
+  const code = normalizePromoCode(typed);
+  const quote = await API.checkout
+    .post(PROMO_CONFIG.endpoints.quote, { json: { ...session, promo_code: code || null } })
+    .json();
+
+  let promoError = '';
+  if (typed && !code) promoError = 'That doesn\'t look like a valid code.';
+  else if (code && !quote.promo_valid) {
+    promoError = quote.promo_message || 'This code is invalid or has expired.';
+    if (code === getStoredPromo()) clearStoredPromo();
+  }
+
+  return { quote, code, promoCode: quote.promo_valid ? code : null, promoError };
+}
+
+/** Quotes the popup's session + promo field and fills in the confirm popup. */
+async function quoteSubscription(component) {
+  const session = component._checkoutSession;
+  const typed = component.popup.promoCode;
+
+  try {
+    const { quote, code, promoCode, promoError } = await quoteCheckout(session, typed);
+    component.popup = {
+      ...component.popup,
+      message: describeQuote(quote),
+      quote,
+      promoCode: code || typed,
+      promoError,
+      isLocked: false,
+      showCloseIcon: true,
+      btnText: quote.trial_days > 0 ? 'Start free trial' : 'Continue to payment',
+      btnAction: () => startCheckout(component, E.subscription, { ...session, promo_code: promoCode }),
+    };
+  } catch (e) {
+    handleApiError(component, e);
+  }
+}
+
+/** "$7.99/month (was $9.99)" or "7-day free trial, then $9.99/month". */
+export function describeQuote(quote) {
+  const per = quote.interval ? `/${quote.interval}` : '';
+  const price = `${formatPrice(quote.amount)}${per}`;
+  const was = quote.original_amount > quote.amount
+    ? ` (was ${formatPrice(quote.original_amount)}${per})`
+    : '';
+
+  return quote.trial_days > 0
+    ? `${quote.trial_days}-day free trial, then ${price}${was}`
+    : `${price}${was}`;
+}
+
+/**
+ * Starts a one-off unlock for a post or message. Stripe returns to the
+ * current page with `?unlocked=<type>:<id>` (plus any `extraParams`).
+ *
+ * @param {object} component
+ * @param {'content'|'message'} itemType
+ * @param {number} itemId
+ * @param {object} [extraParams] - Added to the return URL (e.g. conversation_id).
+ */
+export function unlockItem(component, itemType, itemId, extraParams = {}) {
+  const back = new URL(window.location.href);
+  Object.entries(extraParams).forEach(([k, v]) => back.searchParams.set(k, v));
+  const cancelUrl = back.href;
+  back.searchParams.set(CHECKOUT_CONFIG.unlockParam, `${itemType}:${itemId}`);
+
+  return startCheckout(component, E.unlock, {
+    item_type:   itemType,
+    item_id:     itemId,
+    success_url: back.href,
+    cancel_url:  cancelUrl,
+  });
+}
+
+/**
+ * Starts a tip checkout — the subscription checkout endpoint with
+ * `mode: 'tip'`. Amount and message are validated by the caller (and
+ * again server-side); Stripe returns with `?tipped=<cents>`.
+ *
+ * @param {object} component
+ * @param {object} tip
+ * @param {number} tip.amount      - Cents.
+ * @param {string} [tip.message]   - Shown to the creator with the notification.
+ * @param {number} [tip.contentId] - Post the tip was sent from.
+ * @param {number} [tip.commentId] - Comment the tip was sent from.
+ */
+export function sendTip(component, { amount, message = '', contentId = null, commentId = null }) {
+  const back = new URL(window.location.href);
+  const cancelUrl = back.href;
+  back.searchParams.set(CHECKOUT_CONFIG.tipParam, amount);
+
+  return startCheckout(component, E.subscription, {
+    mode:        'tip',
+    amount,
+    message,
+    content_id:  contentId,
+    comment_id:  commentId,
+    success_url: back.href,
+    cancel_url:  cancelUrl,
+  });
+}
+
+/** Reads a query param and removes it from the URL bar. */
+function takeParam(name) {
+  const url = new URL(window.location.href);
+  const value = url.searchParams.get(name);
+  if (value === null) return null;
+
+  url.searchParams.delete(name);
+  window.history.replaceState({}, document.title, url.pathname + url.search);
+  return value;
+}
+
+/**
+ * Reads (and removes from the URL) the unlock marker Stripe sent the
+ * user back with.
+ *
+ * @returns {{ type: string, id: number }|null}
+ */
+export function readUnlockReturn() {
+  const value = takeParam(CHECKOUT_CONFIG.unlockParam);
+  if (!value) return null;
+
+  const [type, id] = value.split(':');
+  const itemId = parseInt(id, 10);
+  return type && itemId ? { type, id: itemId } : null;
+}
+
+/** Tip amount (cents) Stripe returned with, or null. */
+export function readTipReturn() {
+  const amount = parseInt(takeParam(CHECKOUT_CONFIG.tipParam), 10);
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Refetches an item until the server reports it unlocked (the Stripe
+ * webhook can arrive a moment after the redirect).
+ *
+ * @param {Function} fetchItem - async () => item
+ * @returns {Promise<object|null>} The unlocked item, or null on timeout.
+ */
+export async function pollUnlocked(fetchItem) {
+  const { attempts, interval } = CHECKOUT_CONFIG.unlockPoll;
+
+  for (let i = 0; i < attempts; i++) {
+    try {
+      const item = await fetchItem();
+      if (item?.unlocked) return item;
+    } catch (err) {
+      console.warn('[Checkout] Unlock check failed:', err);
+    }
+    await new Promise((r) => setTimeout(r, interval));
+  }
+  return null;
+}
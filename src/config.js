@@ -19,12 +19,60 @@ export const API_PREFIXES = {
   admin:    `${XANO_BASE}/api:8M6P_cld`,
 };
 
+// ─── API Resilience Config ───────────────────────────────────
+export const API_CONFIG = {
+  /** Per-group request timeouts (ms) */
+  timeouts: {
+    auth:     10000,
+    feed:     15000,
+    comment:  10000,
+    public:   10000,
+    checkout: 15000,
+    admin:    30000,
+    profile:  10000,
+  },
+  /** Exponential backoff for idempotent GETs only */
+  retry: {
+    limit:        3,
+    baseDelay:    300,      // 300ms → 600ms → 1200ms
+    backoffLimit: 8000,
+    statusCodes:  [408, 429, 500, 502, 503, 504],
+  },
+  /** IndexedDB outbox for mutations made while offline */
+  outbox: {
+    dbName:    'fan-platform',
+    storeName: 'outbox',
+    idempotencyHeader: 'Idempotency-Key',   // Same key on the first attempt and every replay
+  },
+};
+
+// ─── Creator Context Config ──────────────────────────────────
+// One deployment can serve several creators. The active creator is
+// resolved from the subdomain (katie.example.com) or a leading
+// path segment (/@katie/membership/feed) — see creator.js.
+export const CREATOR_CONFIG = {
+  /** Apex domain whose subdomains are creator slugs (null = disabled) */
+  rootDomain: 'katiesigmond.co',
+  /** Subdomains that are never creator slugs */
+  reservedSubdomains: ['www', 'app', 'api'],
+  /** Marks a creator slug in the first path segment */
+  pathPrefix: '@',
+  /** Fallback slug; null lets the server pick its default creator */
+  defaultSlug: null,
+  /** Query params used to scope feed/profile/checkout/admin requests */
+  params: {
+    id:   'creator_id',
+    slug: 'creator_slug',
+  },
+};
+
 // ─── Auth Config ─────────────────────────────────────────────
 export const AUTH_CONFIG = {
   endpoints: {
     getMe:             `${API_PREFIXES.auth}/auth/get/me`,
     getCreatorProfile: `${API_PREFIXES.public}/get_creator_profile`,
     getAdminCheck:     `${API_PREFIXES.admin}/creator_profile/get_admin_check`,
+    refreshToken:      `${API_PREFIXES.auth}/auth/refresh_token`,
   },
   routes: {
     login:        '/auth/login',
@@ -35,7 +83,44 @@ export const AUTH_CONFIG = {
     authToken:   'authToken',
     userData:    'userData',
     creatorData: 'creatorData',
+    staffRoles:  'staffRoles',   // sessionStorage — get_admin_check result per user + creator
+  },
+};
+
+// ─── Access Control Config ───────────────────────────────────
+// Declarative RBAC. Roles are resolved per creator by AuthManager:
+//   user       — any authenticated account
+//   subscriber — active subscription to the current creator
+//   moderator / editor / creator — from creator_profile/get_admin_check
+export const ACCESS_CONFIG = {
+  /** Roles that automatically grant other roles */
+  implies: {
+    creator: ['editor', 'subscriber'],
+    editor:  ['moderator'],
+  },
+  /** Permission → roles allowed. Checked via AuthManager.can() / app.can() */
+  permissions: {
+    'content.view_paid': ['subscriber'],
+    'comment.hide':      ['moderator'],
+    'content.manage':    ['editor'],
+    'bio.edit':          ['creator'],
+    'message.send':      ['subscriber'],
+    'promo.manage':      ['creator'],
+    'analytics.view':    ['creator'],
   },
+  /**
+   * Route rules — longest matching prefix wins.
+   *   guestOnly: authenticated users are sent to the feed
+   *   role:      required role; guests go to login, others to `redirect`
+   */
+  routes: [
+    { prefix: '/auth',       guestOnly: true },
+    { prefix: '/membership', role: 'user' },
+    { prefix: '/messages',   role: 'user' },
+    { prefix: '/admin',      role: 'editor', redirect: '/membership/feed' },
+    { prefix: '/admin/promo-codes', role: 'creator', redirect: '/admin/modify-content' },
+    { prefix: '/admin/analytics',   role: 'creator', redirect: '/admin/modify-content' },
+  ],
 };
 
 // ─── Notification Config ─────────────────────────────────────
@@ -43,8 +128,10 @@ export const NOTIFICATION_CONFIG = {
   endpoints: {
     get:         `${API_PREFIXES.comment}/notification/get_notifications`,
     markRead:    `${API_PREFIXES.comment}/notification/read_notification`,
+    markReadMany:`${API_PREFIXES.comment}/notification/read_notifications`,
+    markAllRead: `${API_PREFIXES.comment}/notification/read_all_notifications`,
+    unreadCount: `${API_PREFIXES.comment}/notification/unread_count`,
     getComment:  `${API_PREFIXES.comment}/comment/get_comment`,
-    getComments: `${API_PREFIXES.comment}/comment/get_content_comments`,
   },
   selectors: {
     trigger:     '[data-notification="trigger"]',
@@ -52,6 +139,7 @@ export const NOTIFICATION_CONFIG = {
     template:    '.notification-card.is-active',
     closeButton: '[data-notification="close"]',
     unreadBadge: '[data-notification="badge"]',
+    markAllRead: '[data-notification="mark-all-read"]',
   },
   routes: {
     feed:     '/membership/feed',
@@ -63,6 +151,172 @@ export const NOTIFICATION_CONFIG = {
     cardUnread: 'is-unread',
   },
   desktopBreakpoint: 991,
+  perPage: 20,
+  /** Load the next page when the drawer is scrolled within this many px of the end */
+  scrollThreshold: 200,
+  /** Types collapsed into one card per target: type → field that identifies the target */
+  grouping: {
+    post_like:    'related_content_list_id',
+    comment_like: 'related_comment_id',
+  },
+  /** Notification preferences center (settings page) */
+  preferences: {
+    channels: ['in_app', 'email', 'push'],
+    /** Every type HANDLERS in notifications.js knows, with its settings label */
+    types: {
+      post_like:             'Likes on my posts',
+      comment_like:          'Likes on my comments',
+      comment_reply:         'Replies to my comments',
+      creator_comment_reply: 'Creator replies to my comments',
+      creator_new_comment:   'New comments on my posts',
+      creator_new_tip:       'Tips',
+      creator_new_follower:  'New followers',
+      new_message:           'Direct messages',
+      new_post:              'New posts',
+    },
+    quietHours: { enabled: false, start: '22:00', end: '08:00' },
+  },
+};
+
+// ─── Realtime Config ─────────────────────────────────────────
+// One live connection per browser (elected across tabs) pushes
+// `{ type, data }` events — see realtime.js.
+export const REALTIME_CONFIG = {
+  /** Preferred transport: 'websocket' | 'sse' | 'poll' */
+  transport: 'websocket',
+  endpoints: {
+    socket: `${XANO_BASE.replace(/^http/, 'ws')}/rt/notifications`,
+    ticket: `${API_PREFIXES.comment}/realtime/ticket`,          // → { ticket } for SSE
+    stream: `${API_PREFIXES.comment}/realtime/stream`,          // EventSource URL
+    poll:   `${API_PREFIXES.comment}/notification/poll_notifications`,
+  },
+  /** Socket auth handshake: the server answers the auth frame with this event type… */
+  socketAuthAck:      'auth_ok',
+  /** …or closes with this code when the token is rejected (expired → refresh + reconnect) */
+  socketAuthRejected: 4001,
+  /** How long the server may hold a long-poll request open (ms) */
+  longPollWait: 25000,
+  reconnect: {
+    baseDelay: 1000,   // 1s → 2s → 4s … capped at maxDelay
+    maxDelay:  30000,
+  },
+  /** Consecutive socket/stream failures before falling back to polling */
+  fallbackAfter: 3,
+  /** Minimum gap between polls; doubles (up to reconnect.maxDelay) while polls return early and empty */
+  pollMinInterval: 2000,
+  /** After falling back to polling, try the preferred transport again this often (ms) */
+  upgradeInterval: 5 * 60 * 1000,
+  channelName: 'fan-platform-realtime',
+  lockName:    'fan-platform-realtime-leader',
+};
+
+// ─── Messages Config ─────────────────────────────────────────
+// Fan ↔ creator direct messages. Paths are relative to API.feed
+// (creator-scoped + authenticated).
+export const MESSAGES_CONFIG = {
+  perPage: 30,
+  maxLength: 1000,
+  /** Load older messages when scrolled within this many px of the top */
+  scrollThreshold: 120,
+  endpoints: {
+    conversations: 'messages/get_conversations',
+    thread:        'messages/get_messages',        // ?conversation_id=&before_id=&per_page=
+    send:          'messages/send_message',
+    markRead:      'messages/read_conversation',
+    item:          'messages/get_message',         // ?message_id= — one message, fresh
+  },
+  selectors: {
+    thread: '#message-thread',
+    input:  '#message-input',
+    picker: '#emoji-picker-container-messages',
+  },
+};
+
+// ─── Checkout Config ─────────────────────────────────────────
+// Stripe Checkout sessions are created server-side (API.checkout).
+// Pay-per-view prices are stored in cents on posts/messages (`price`).
+export const CHECKOUT_CONFIG = {
+  currency: 'USD',
+  locale:   'en-US',
+  /** Pay-per-view price bounds in major units (dollars) */
+  minPrice: 1,
+  maxPrice: 500,
+  endpoints: {
+    subscription: 'stripe/create_checkout_session', // Also tips: { mode: 'tip', amount, message, content_id?, comment_id? }
+    unlock:       'stripe/create_unlock_session',   // One-off, tied to item_type + item_id
+  },
+  tips: {
+    presets:          [500, 1000, 2000, 5000],   // cents
+    minAmount:        1,                         // dollars (custom amounts)
+    maxAmount:        1000,
+    messageMaxLength: 200,
+  },
+  /** Added to success_url: ?unlocked=content:123 | message:456 */
+  unlockParam: 'unlocked',
+  /** Added to success_url after a tip: ?tipped=<amount in cents> */
+  tipParam: 'tipped',
+  /** The Stripe webhook may land after the redirect — poll for `unlocked` */
+  unlockPoll: {
+    attempts: 6,
+    interval: 1500,
+  },
+};
+
+// ─── Promo Codes & Trials Config ─────────────────────────────
+// Campaign links (?promo=SPRING) are remembered across signup and
+// magic-link verification, then applied at checkout. See promo.js.
+export const PROMO_CONFIG = {
+  param:      'promo',
+  storageKey: 'promoCode',
+  ttl:        30 * 24 * 60 * 60 * 1000,   // Forget an unused code after 30 days
+  pattern:    /^[A-Z0-9_-]{3,32}$/,
+  endpoints: {
+    quote:       'stripe/quote_checkout',        // API.checkout — price after promo/trial
+    list:        'promo/get_promo_codes',        // API.admin — with redemption_count
+    create:      'promo/create_promo_code',
+    expire:      'promo/expire_promo_code',
+    redemptions: 'promo/get_promo_redemptions',
+  },
+  /** Discount kinds the admin screen can create */
+  kinds: {
+    percent: 'Percent off',
+    amount:  'Amount off',
+    trial:   'Free trial',
+  },
+};
+
+// ─── Subscription Tiers Config ───────────────────────────────
+// Creators define tiers on their profile (`creator.tiers`:
+// { id, name, rank, price, benefits[] }); posts carry a minimum
+// `tier_id`. Higher rank = more access. See tiers.js.
+export const TIERS_CONFIG = {
+  endpoints: {
+    save: 'creator_profile/edit_tiers',   // API.admin — { tiers: [...] }
+  },
+  maxTiers: 5,
+  /** Monthly tier price bounds in major units (dollars) — not the PPV ones */
+  minPrice: 3,
+  maxPrice: 100,
+  /** Stand-in when the creator hasn't defined tiers: any subscription. */
+  defaultTier: { id: 0, name: 'Subscriber', rank: 0, price: 0, benefits: [] },
+  /** /setting?tab=plan&tier=<id> — tier a paywall sent the user to. */
+  planParam: 'tier',
+};
+
+// ─── Web Push Config ─────────────────────────────────────────
+export const PUSH_CONFIG = {
+  /**
+   * Must be served from the site's own origin (a service worker
+   * cannot be registered cross-origin, e.g. from jsDelivr).
+   */
+  serviceWorkerUrl: '/sw.js',
+  endpoints: {
+    vapidKey:    `${API_PREFIXES.comment}/push/vapid_public_key`,   // → { public_key }
+    subscribe:   `${API_PREFIXES.comment}/push/subscribe`,
+    unsubscribe: `${API_PREFIXES.comment}/push/unsubscribe`,
+  },
+  /** Max wait for the unsubscribe call during logout (ms) */
+  logoutTimeout: 1500,
 };
 
 // ─── Asset Constants ─────────────────────────────────────────
@@ -72,7 +326,29 @@ export const TRANSPARENT_PIXEL =
 export const PLACEHOLDER =
   'https://d3e54v103j8qbb.cloudfront.net/plugins/Basic/assets/placeholder.60f9b1840c.svg';
 
+// ─── Comments Config ─────────────────────────────────────────
+// Threaded comments in the drawer / lightbox (feed, profile, post).
+// Paths are relative to API.comment.
+export const COMMENTS_CONFIG = {
+  endpoints: {
+    list:    'comment/get_content_comments',   // ?content_id=&sort=&page=&per_page=&replies_per_thread=
+    replies: 'comment/get_comment_replies',    // ?comment_id=&after_id=&per_page=
+  },
+  perPage:        20,     // Top-level comments per page
+  repliesPreview: 2,      // Replies sent inline with each thread
+  repliesPerPage: 10,     // "View N more replies" chunk
+  sorts: {
+    newest: 'Newest',
+    oldest: 'Oldest',
+    top:    'Most liked',
+  },
+  defaultSort: 'newest',
+};
+
 // ─── Feed Config ─────────────────────────────────────────────
+// Fan-facing endpoints never return drafts or posts whose publish_at
+// is still ahead (media URLs included) — enforced server-side, there
+// is no client flag for it.
 export const FEED_CONFIG = {
   perPage: 10,
   commentMaxLength: 150,
@@ -80,8 +356,18 @@ export const FEED_CONFIG = {
   endpoints: {
     premium:  'get_content_feed_premium',
     unsubbed: 'get_content_feed_unsubbed',
+    item:     'get_content',                 // ?id= — one post, fresh
   },
   filters: ['all', 'free', 'paid'],
+  filterParam: 'filter',       // ?filter= sent to the feed endpoints (omitted for 'all')
+  cursorParams: { createdAt: 'before', id: 'before_id' },   // Keyset cursor: posts older than the last loaded
+  snapshotKey: 'feedSnapshot',  // sessionStorage prefix (+ page path) for back-navigation restore
+  snapshotTtl: 30 * 60 * 1000,  // Older snapshots are ignored
+  newPosts: {
+    countEndpoint: 'get_new_post_count',   // ?after=&after_id= → { count }
+    sinceParams:   { createdAt: 'after', id: 'after_id' },   // Keyset: posts newer than the newest loaded (also accepted by the feed endpoints)
+    maxPrepend:    50,                     // More new posts than this → reload from the top
+  },
 };
 
 // ─── Profile Config ──────────────────────────────────────────
@@ -92,8 +378,30 @@ export const PROFILE_CONFIG = {
   endpoints: {
     premium:  'get_profile_feed_premium',
     unsubbed: 'get_profile_feed_unsubbed',
+    item:     'get_content',
   },
   filters: ['all', 'liked', 'bookmarked'],
+  filterParam: 'filter',       // ?filter= sent to the feed endpoints (omitted for 'all')
+  cursorParams: { createdAt: 'before', id: 'before_id' },   // Keyset cursor: posts older than the last loaded
+  snapshotKey: 'feedSnapshot',  // sessionStorage prefix (+ page path) for back-navigation restore
+  snapshotTtl: 30 * 60 * 1000,  // Older snapshots are ignored
+  newPosts: {
+    countEndpoint: 'get_new_post_count',   // ?after=&after_id= → { count }
+    sinceParams:   { createdAt: 'after', id: 'after_id' },   // Keyset: posts newer than the newest loaded (also accepted by the feed endpoints)
+    maxPrepend:    50,                     // More new posts than this → reload from the top
+  },
+};
+
+// ─── Post Permalink Config ───────────────────────────────────
+// Single-post page at /membership/post/<id>. Same endpoints as the
+// feed; only `endpoints.item` is used to load the post. The host (or
+// CDN) must rewrite /membership/post/<id> to the /membership/post page.
+export const POST_CONFIG = {
+  ...FEED_CONFIG,
+  route: '/membership/post',       // + /<id>
+  pathIds: true,                   // false → ?content_id=<id> links, for hosts without the rewrite
+  single: true,
+  snapshotKey: null,               // Nothing to restore on a single post
 };
 
 // ─── Admin / Content Manager Config ──────────────────────────
@@ -103,6 +411,7 @@ export const ADMIN_CONFIG = {
     edit:    `${API_PREFIXES.admin}/edit_photo_content`,
     editBio: `${API_PREFIXES.admin}/creator_profile/edit_bio`,
     feed:    `${API_PREFIXES.feed}/get_content_feed_premium`,
+    list:    `${API_PREFIXES.admin}/get_admin_content`,  // Includes drafts + scheduled
   },
   teaserBlur:    60,        // CSS blur() pixels for teaser generation
   teaserQuality: 0.8,       // JPEG quality for teaser blob
@@ -110,6 +419,7 @@ export const ADMIN_CONFIG = {
   selectors: {
     editor:      '#rich-editor',
     previewImg:  '#preview-img',
+    previewVideo:'#preview-video',   // <video> preview + poster scrubbing
     placeholder: '#upload-placeholder',
     mediaInput:  '#media-input',
     canvas:      '#teaser-canvas',
@@ -118,12 +428,100 @@ export const ADMIN_CONFIG = {
   },
 };
 
+// ─── Chunked Upload Config ───────────────────────────────────
+// Used by upload.js for admin media and avatar uploads.
+export const UPLOAD_CONFIG = {
+  chunkSize:  5 * 1024 * 1024,   // 5 MB
+  maxRetries: 5,                 // Per chunk, with exponential backoff
+  retryDelay: 1000,              // 1s → 2s → 4s …
+  sessionTTL: 24 * 60 * 60 * 1000, // Resume window after a reload (ms)
+  requestTimeout:  30000,        // start / status (ms) — ky's 10s default is too tight
+  completeTimeout: 5 * 60 * 1000, // complete: the server assembles the whole file (large videos)
+  endpoints: {
+    start:    `${API_PREFIXES.avatar}/upload/start`,
+    chunk:    `${API_PREFIXES.avatar}/upload/chunk`,
+    status:   `${API_PREFIXES.avatar}/upload/status`,
+    complete: `${API_PREFIXES.avatar}/upload/complete`,
+    cancel:   `${API_PREFIXES.avatar}/upload/cancel`,
+  },
+};
+
+// ─── Analytics Dashboard Config ──────────────────────────────
+// Creator-only /admin/analytics. Endpoints are on API.admin and take
+// `start` / `end` (YYYY-MM-DD, inclusive); money is in cents.
+export const ANALYTICS_CONFIG = {
+  endpoints: {
+    summary: 'analytics/get_summary',      // Daily subscribers, churn, revenue
+    posts:   'analytics/get_post_stats',   // Per-post daily engagement + watch stats
+  },
+  /** Range presets (days, ending today) */
+  ranges: {
+    '7d':  7,
+    '30d': 30,
+    '90d': 90,
+    '1y':  365,
+  },
+  defaultRange: '30d',
+  maxRangeDays: 366,        // Longest custom range (also caps the client-side day list)
+  topPostsLimit: 10,
+  chart: {
+    width:  640,
+    height: 220,
+    colors: ['#6c5ce7', '#00b894', '#e17055', '#0984e3'],
+  },
+};
+
+// ─── Engagement Tracking Config ──────────────────────────────
+// Client-side collector (tracking.js) feeding the analytics above.
+// Only runs when the user has turned on `analytics_consent`.
+export const TRACKING_CONFIG = {
+  /** Full URL — sendBeacon bypasses ky, so no prefixUrl / hooks. Body is JSON as text/plain. */
+  endpoint:      `${API_PREFIXES.feed}/analytics/track`,
+  batchSize:     25,         // Flush once this many events are queued
+  flushInterval: 15000,      // ms — periodic flush while the tab is visible
+  impressionThreshold: 0.5,  // Share of the card visible to count as seen
+  minDwell:      1000,       // ms — shorter views aren't reported as dwell
+  quartiles:     [25, 50, 75, 100],
+  consentField:  'analytics_consent',   // On the user (edit_profile)
+  sessionKey:    'trackingSession',     // sessionStorage — per-tab id
+};
+
+// ─── Privacy Config (Consent + GDPR) ─────────────────────────
+// consent.js shows the banner; privacy.js exports / deletes the
+// account and wipes everything this app stores in the browser.
+export const PRIVACY_CONFIG = {
+  consentKey:     'cookieConsent',
+  consentVersion: 1,          // Bump to ask again after a policy change
+  policyUrl:      '/privacy',
+  endpoints: {
+    export: 'user/export_data',      // API.profile — JSON of the user's data
+    delete: 'user/delete_account',   // API.profile — irreversible
+  },
+  deleteConfirmText: 'DELETE',       // Typed to confirm deletion
+  /** Every client-side key the app writes — cleared after deletion */
+  localKeys: [
+    AUTH_CONFIG.storage.authToken,
+    AUTH_CONFIG.storage.userData,
+    AUTH_CONFIG.storage.creatorData,
+    'remember_me_preference',
+    'login_event',
+    PROMO_CONFIG.storageKey,
+  ],                                    // + consentKey itself
+  localPrefixes: ['upload_session:'],   // Resumable uploads (upload.js)
+  sessionKeys:   [TRACKING_CONFIG.sessionKey, AUTH_CONFIG.storage.staffRoles],
+  sessionPrefixes: [FEED_CONFIG.snapshotKey, PROFILE_CONFIG.snapshotKey],   // Feed restore snapshots
+  selectors: {
+    banner: '[data-consent="banner"]',
+    accept: '[data-consent="accept"]',
+    reject: '[data-consent="reject"]',
+    manage: '[data-consent="manage"]',   // "Cookie settings" links reopen the banner
+  },
+};
+
 // ─── Settings Page Config ────────────────────────────────────
 export const SETTINGS_CONFIG = {
   /** Timeout for Stripe portal + profile edit requests (ms) */
   requestTimeout: 10000,
   /** How long to show success feedback (ms) */
   successFeedbackDuration: 3000,
-  /** Admin/creator user ID — hides portal button for the creator */
-  creatorUserId: 3,
 };
@@ -0,0 +1,123 @@
+/**
+ * consent.js — Cookie / Tracking Consent
+ * The consent banner and the single source of truth for optional
+ * tracking consent.
+ * ──────────────────────────────────────────────────────────────
+ * NECESSARY: authToken, userData, creatorData, the offline outbox
+ *            and upload sessions are needed for the app to work and
+ *            aren't gated. Only optional tracking (tracking.js) is.
+ *
+ * STORAGE:   The choice lives in localStorage (versioned — bump
+ *            PRIVACY_CONFIG.consentVersion to ask again) and, when
+ *            signed in, in the user's `analytics_consent` so it
+ *            follows them to other devices.
+ *
+ * BANNER:    Uses the Webflow element at `[data-consent="banner"]`
+ *            if the page has one, otherwise injects a minimal one.
+ */
+
+import { API } from './api.js';
+import { AUTH_CONFIG, PRIVACY_CONFIG, TRACKING_CONFIG } from './config.js';
+
+const S = PRIVACY_CONFIG.selectors;
+
+// ─── Stored Choice ───────────────────────────────────────────
+/** This device's choice for the current policy version, or null. */
+export function getConsent() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRIVACY_CONFIG.consentKey) || 'null');
+    return saved?.version === PRIVACY_CONFIG.consentVersion ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * True only after an explicit opt-in: this device's choice if made,
+ * otherwise the signed-in user's saved choice.
+ *
+ * @param {'analytics'} category
+ */
+export function hasConsent(category) {
+  const local = getConsent();
+  if (local) return local[category] === true;
+
+  if (category !== 'analytics') return false;
+  const user = window.currentUser
+    || JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.userData) || 'null');
+  return user?.[TRACKING_CONFIG.consentField] === true;
+}
+
+/**
+ * Saves a choice on this device, syncs it to the account when signed
+ * in, and fires `consent:change` (tracking.js drops its queue on opt-out).
+ *
+ * @param {{ analytics: boolean }} choice
+ * @returns {Promise<void>} Rejects if the account sync fails (the
+ *   device choice is kept either way).
+ */
+export async function setConsent({ analytics }) {
+  localStorage.setItem(PRIVACY_CONFIG.consentKey, JSON.stringify({
+    version:    PRIVACY_CONFIG.consentVersion,
+    analytics:  !!analytics,
+    decided_at: new Date().toISOString(),
+  }));
+  window.dispatchEvent(new CustomEvent('consent:change', { detail: { analytics: !!analytics } }));
+
+  if (!localStorage.getItem(AUTH_CONFIG.storage.authToken)) return;
+
+  const field = TRACKING_CONFIG.consentField;
+  await API.profile.post('user/edit_profile', { json: { [field]: !!analytics } }).json();
+
+  if (window.currentUser) window.currentUser[field] = !!analytics;
+  const stored = JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.userData) || 'null');
+  if (stored) {
+    stored[field] = !!analytics;
+    localStorage.setItem(AUTH_CONFIG.storage.userData, JSON.stringify(stored));
+  }
+}
+
+// ─── Banner ──────────────────────────────────────────────────
+function injectBanner() {
+  const el = document.createElement('div');
+  el.setAttribute('data-consent', 'banner');
+  el.setAttribute('role', 'dialog');
+  el.setAttribute('aria-label', 'Cookie consent');
+  el.style.cssText = 'position:fixed;left:16px;right:16px;bottom:16px;z-index:9999;max-width:560px;margin:0 auto;padding:16px;border-radius:12px;background:#111;color:#fff;font-size:0.875rem;box-shadow:0 8px 24px rgba(0,0,0,0.3);display:none';
+  el.innerHTML = `
+    <p style="margin:0 0 12px">We use essential storage to keep you signed in. With your permission we also measure how posts and videos are viewed to improve the site. <a href="${PRIVACY_CONFIG.policyUrl}" style="color:inherit;text-decoration:underline">Privacy policy</a></p>
+    <div style="display:flex;gap:8px;justify-content:flex-end">
+      <button type="button" data-consent="reject" style="padding:8px 14px;border-radius:8px;border:1px solid #fff;background:transparent;color:#fff;cursor:pointer">Essential only</button>
+      <button type="button" data-consent="accept" style="padding:8px 14px;border-radius:8px;border:0;background:#fff;color:#111;cursor:pointer">Allow analytics</button>
+    </div>`;
+  document.body.appendChild(el);
+  return el;
+}
+
+/**
+ * Shows the banner until a choice is made for this policy version,
+ * and lets `[data-consent="manage"]` links reopen it.
+ * Call once per page (main-site.js).
+ */
+export function initConsentBanner() {
+  const banner = document.querySelector(S.banner) || injectBanner();
+  const show = () => { banner.style.display = ''; };
+  const hide = () => { banner.style.display = 'none'; };
+
+  const choose = (analytics) => {
+    hide();
+    setConsent({ analytics }).catch((err) => console.warn('[Consent] Account sync failed:', err));
+  };
+
+  banner.querySelector(S.accept)?.addEventListener('click', () => choose(true));
+  banner.querySelector(S.reject)?.addEventListener('click', () => choose(false));
+  document.querySelectorAll(S.manage).forEach((link) => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      show();
+    });
+  });
+
+  if (getConsent()) hide();
+  else show();
+}
@@ -0,0 +1,119 @@
+/**
+ * creator.js — Creator Context
+ * Resolves which creator the current page belongs to.
+ * ──────────────────────────────────────────────────────────────
+ * Resolution order:
+ *   1. Subdomain:  katie.katiesigmond.co      → 'katie'
+ *   2. Path:       /@katie/membership/feed    → 'katie'
+ *   3. CREATOR_CONFIG.defaultSlug (single-creator deployments)
+ *
+ * The numeric creator id is only known once get_creator_profile
+ * resolves (AuthManager calls setCreatorId). Until then, API calls
+ * are scoped by slug — see the `addCreator` hook in api.js.
+ */
+
+import { CREATOR_CONFIG } from './config.js';
+
+// ─── Slug Detection ──────────────────────────────────────────
+function fromSubdomain() {
+  const { rootDomain, reservedSubdomains } = CREATOR_CONFIG;
+  const host = window.location.hostname;
+  if (!rootDomain || !host.endsWith(`.${rootDomain}`)) return null;
+
+  const sub = host.slice(0, -(rootDomain.length + 1)).split('.').pop();
+  return sub && !reservedSubdomains.includes(sub) ? sub : null;
+}
+
+function fromPath() {
+  const first = window.location.pathname.replace(/^\//, '').split('/')[0];
+  return first.startsWith(CREATOR_CONFIG.pathPrefix)
+    ? first.slice(CREATOR_CONFIG.pathPrefix.length) || null
+    : null;
+}
+
+function resolveContext() {
+  const sub = fromSubdomain();
+  if (sub) return { slug: sub, source: 'subdomain' };
+
+  const path = fromPath();
+  if (path) return { slug: path, source: 'path' };
+
+  return { slug: CREATOR_CONFIG.defaultSlug, source: 'default' };
+}
+
+// ─── Private Module State ────────────────────────────────────
+const context = { ...resolveContext(), id: null };
+
+// ─── Public API ──────────────────────────────────────────────
+/** Returns `{ slug, source, id }` for the active creator. */
+export function getCreatorContext() {
+  return context;
+}
+
+/** Records the creator id once the creator profile has loaded. */
+export function setCreatorId(id) {
+  context.id = id ?? null;
+}
+
+/**
+ * Current pathname without the `/@slug` prefix, so folder-based
+ * routing (`auth`, `membership`, `admin`) works in path mode.
+ */
+export function getRoutePath() {
+  const path = window.location.pathname;
+  if (context.source !== 'path') return path;
+  return path.replace(/^\/[^/]+/, '') || '/';
+}
+
+/** Prefixes a site route with `/@slug` when the creator came from the path. */
+export function creatorRoute(route) {
+  return context.source === 'path'
+    ? `/${CREATOR_CONFIG.pathPrefix}${context.slug}${route}`
+    : route;
+}
+
+/**
+ * True if the stored creator profile belongs to the active creator.
+ * Used to ignore a cached `creatorData` left by another creator's site.
+ */
+export function isCurrentCreator(profile) {
+  if (!profile) return false;
+  if (context.id) return profile.id === context.id;
+  return !context.slug || profile.slug === context.slug;
+}
+
+/**
+ * Resolves a user's subscription to one creator.
+ * Accepts `subscriptions` as creator ids or `{ creator_id, active }`
+ * objects; falls back to the legacy single `subscribed` flag.
+ *
+ * @param {object} userData  - Raw user from /auth/get/me.
+ * @param {number} creatorId - Creator to check.
+ * @returns {boolean}
+ */
+export function isSubscribedTo(userData, creatorId) {
+  const subs = userData?.subscriptions;
+  if (!Array.isArray(subs)) return !!userData?.subscribed;
+
+  return subs.some((s) =>
+    typeof s === 'object'
+      ? s.creator_id === creatorId && s.active !== false
+      : s === creatorId,
+  );
+}
+
+/**
+ * Tier id of a user's subscription to one creator (see tiers.js).
+ * Null for plain id lists and legacy `subscribed` users.
+ *
+ * @param {object} userData  - Raw user from /auth/get/me.
+ * @param {number} creatorId - Creator to check.
+ * @returns {number|null}
+ */
+export function getSubscriptionTierId(userData, creatorId) {
+  const subs = userData?.subscriptions;
+  if (!Array.isArray(subs)) return null;
+
+  const sub = subs.find((s) => typeof s === 'object' && s.creator_id === creatorId && s.active !== false);
+  return sub?.tier_id ?? null;
+}
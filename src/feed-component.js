@@ -8,14 +8,28 @@
  */
 
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
-import { API } from './api.js';
+import { API, sendMutation, getPendingMutations } from './api.js';
 import {
   PLACEHOLDER,
   TRANSPARENT_PIXEL,
   FEED_CONFIG,
   PROFILE_CONFIG,
+  POST_CONFIG,
+  COMMENTS_CONFIG,
   SETTINGS_CONFIG,
+  AUTH_CONFIG,
+  CHECKOUT_CONFIG,
 } from './config.js';
+import {
+  setCreatorId,
+  getCreatorContext,
+  getRoutePath,
+  creatorRoute,
+  isCurrentCreator,
+  isSubscribedTo,
+  getSubscriptionTierId,
+} from './creator.js';
+import { getTiers, getRequiredTier, isTierLocked } from './tiers.js';
 import {
   dayjs,
   formatAvatar,
@@ -24,14 +38,48 @@ import {
   timeAgoShort,
   debounce,
   isDesktop,
+  isPublished,
+  getPostMedia,
+  formatPrice,
+  isUnlockRequired,
+  escapeHtml,
+  postPermalinkPath,
 } from './utils.js';
 import { initFeedPlayer, initLightboxPlayer } from './player.js';
+import { trackEvent, trackVideo, observeImpression } from './tracking.js';
+import { hasPermission } from './access.js';
+import { loadRoles } from './auth.js';
+import { createPopupState, triggerError, handleApiError } from './popup.js';
+import { onRealtime } from './realtime.js';
+import {
+  startSubscriptionCheckout,
+  applyPromoCode,
+  unlockItem,
+  sendTip,
+  readUnlockReturn,
+  readTipReturn,
+  pollUnlocked,
+} from './checkout.js';
 
 // ─── Private Module State ────────────────────────────────────
 // Stored outside Alpine to avoid Proxy-wrapping Picmo instances.
 let drawerPickerInstance = null;
 let lightboxPickerInstance = null;
 
+/**
+ * Feed order — created_at, then id — the same keyset the endpoints page
+ * by. A scheduled post going live has an older id but a newer created_at.
+ */
+function isNewerPost(a, b) {
+  const diff = dayjs(a.created_at).valueOf() - dayjs(b.created_at).valueOf();
+  return diff > 0 || (diff === 0 && a.id > b.id);
+}
+
+/** True when this page load came from the browser's Back/Forward buttons. */
+function isBackForwardLoad() {
+  return performance.getEntriesByType?.('navigation')[0]?.type === 'back_forward';
+}
+
 // ─── Component Registration ─────────────────────────────────
 
 /**
@@ -49,6 +97,8 @@ function createFeedComponent(pageConfig) {
       name: '',
       avatar_url: TRANSPARENT_PIXEL,
       subscribed: false,
+      tier_id: null,
+      roles: [],
     },
     creator: {
       avatar_url: TRANSPARENT_PIXEL,
@@ -60,22 +110,37 @@ function createFeedComponent(pageConfig) {
     feed: [],
     activePost: null,
     isDrawerOpen: false,
+    commentSort: COMMENTS_CONFIG.defaultSort,   // 'newest' | 'oldest' | 'top'
+    commentSorts: COMMENTS_CONFIG.sorts,
+    isCommentsLoading: false,                   // A "load more comments" page in flight
     currentFilter: 'all',
     isLoading: true,
     isAuthenticated: true,
-    popup: {
-      show: false,
-      header: '',
-      message: '',
-      btnText: '',
-      btnAction: null,
-      isLocked: false,
-      showCloseIcon: true,
-    },
-    page: 1,
+    popup: createPopupState(),
+    _checkoutSession: null, // Subscription being quoted in the popup
+    cursor: null,           // { created_at, id } of the oldest post loaded; null = newest first
     hasMore: true,
+    _filterCache: {},       // filter → { feed, cursor, hasMore } for instant switching back
+    _filterSeq: 0,          // Bumped per filter change; stale page loads are dropped
+    postNotFound: false,    // Deep link / permalink to a missing or removed post
+    copiedPostId: null,     // Permalink just copied (button feedback)
+    newPostsCount: 0,       // Posts newer than the feed's newest ("3 new posts" pill)
+    isNewPostsLoading: false,
     showPicker: false,
     showLightboxPicker: false,
+    pendingKeys: [],        // Outbox keys of mutations not yet sent
+
+    // ── Tip Modal ────────────────────────────────────────
+    tip: {
+      show: false,
+      post: null,           // null → tip from the profile, not a post
+      comment: null,
+      amount: CHECKOUT_CONFIG.tips.presets[0],   // cents (selected preset)
+      custom: '',           // dollars; overrides the preset when set
+      message: '',
+      error: '',
+    },
+    tipPresets: CHECKOUT_CONFIG.tips.presets,
 
     // ── Bio Editing (Creator Only) ────────────────────────
     isEditingBio: false,
@@ -93,8 +158,16 @@ function createFeedComponent(pageConfig) {
 
       try {
         await this._loadUserData();
-        await this.loadFeed();
-        await this._handleDeepLink();
+        if (this._pageConfig.single) {
+          await this._loadPermalinkPost();
+        } else {
+          if (this._restoreSnapshot()) this._checkNewPosts();   // Snapshot may be minutes old
+          else await this.loadFeed();
+          this._watchNewPosts();
+          await this._handleDeepLink();
+        }
+        await this._handleUnlockReturn();
+        this._handleTipReturn();
       } catch (e) {
         this._handleApiError(e);
       } finally {
@@ -121,14 +194,22 @@ function createFeedComponent(pageConfig) {
         return;
       }
 
-      // Priority 2: From localStorage (both must exist)
+      // Priority 2: From localStorage (both must exist, and the cached
+      // creator must be the one this page belongs to)
       const storedUser = localStorage.getItem('userData');
       const storedCreator = localStorage.getItem('creatorData');
+      const cachedCreator = storedCreator ? JSON.parse(storedCreator) : null;
 
-      if (storedUser && storedCreator) {
+      if (storedUser && isCurrentCreator(cachedCreator)) {
         const u = JSON.parse(storedUser);
-        const c = JSON.parse(storedCreator);
-        this.user = { ...u, avatar_url: formatAvatar(u.avatar_url) };
+        const c = cachedCreator;
+        setCreatorId(c.id);
+        this.user = {
+          ...u,
+          avatar_url: formatAvatar(u.avatar_url),
+          subscribed: isSubscribedTo(u, c.id),
+          tier_id: getSubscriptionTierId(u, c.id),
+        };
         this.creator = {
           ...c,
           avatar_url: formatAvatar(c.avatar_url),
@@ -147,11 +228,16 @@ function createFeedComponent(pageConfig) {
         ]);
 
         const raw = userRes.user_information || userRes;
+        setCreatorId(creatorRes?.id);
+        const subscribed = isSubscribedTo(raw, creatorRes?.id);
         this.user = {
           ...raw,
           avatar_url: formatAvatar(raw.avatar_url),
-          subscribed: !!raw.subscribed,
+          subscribed,
+          tier_id: getSubscriptionTierId(raw, creatorRes?.id),
         };
+        // Same lookup (and session cache) as AuthManager, so moderators can moderate here too
+        this.user.roles = await loadRoles(this.user, creatorRes?.id);
 
         if (creatorRes) {
           this.creator = {
@@ -176,6 +262,7 @@ function createFeedComponent(pageConfig) {
     // ── Keep for backward-compat with HTML bindings ──────
     formatAvatar,
     formatNumber,
+    formatPrice,
 
     // ── Feed Loading ─────────────────────────────────────
     async loadFeed() {
@@ -184,98 +271,445 @@ function createFeedComponent(pageConfig) {
       const ep = this.user.subscribed
         ? this._pageConfig.endpoints.premium
         : this._pageConfig.endpoints.unsubbed;
+      const seq = this._filterSeq;
+      const { perPage, filterParam, cursorParams } = this._pageConfig;
+      const searchParams = { per_page: perPage };
+      if (this.currentFilter !== 'all') searchParams[filterParam] = this.currentFilter;
+      if (this.cursor) {
+        searchParams[cursorParams.createdAt] = this.cursor.created_at;
+        searchParams[cursorParams.id] = this.cursor.id;
+      }
 
       try {
-        const res = await API.feed
-          .get(ep, { searchParams: { page: this.page, per_page: this._pageConfig.perPage } })
-          .json();
+        const res = await API.feed.get(ep, { searchParams }).json();
+        if (seq !== this._filterSeq) return;   // Filter changed while loading
 
         if (res.length > 0) {
-          const mapped = res.map((item) => ({
-            ...item,
-            isPlaying: false,
-            isMuted: true,
-            timeAgoDisplay: timeAgoDisplay(item.created_at),
-            commentsLoaded: false,
-            comments: [],
-            commentUsers: {},
-          }));
+          // Cursor from the last row returned, scheduled or not
+          const last = res[res.length - 1];
+          this.cursor = { created_at: last.created_at, id: last.id };
+
+          // The server leaves scheduled posts out; isPublished() only
+          // covers one crossing its publish_at mid-session (clock skew).
+          // Posts already loaded under another filter keep their object,
+          // so likes / comments / slide position carry over.
+          const loaded = new Set(this.feed.map((p) => p.id));
+          const mapped = res
+            .filter((item) => isPublished(item) && !loaded.has(item.id))
+            .map((item) => this._findLoadedPost(item.id) || this._mapPost(item));
           this.feed = [...this.feed, ...mapped];
-          this.page++;
-        } else {
-          this.hasMore = false;
         }
+        if (res.length < perPage) this.hasMore = false;
       } catch (e) {
         console.error('[Feed] Load failed:', e);
       }
     },
 
-    // ── Deep Linking (?content_id=&comment_id=) ──────────
+    // ── Filters (server-side, cached per filter) ─────────
+    /**
+     * Switches the filter the feed endpoints are queried with. The
+     * current results are kept, so switching back is instant; a filter
+     * seen for the first time starts again from the newest post.
+     */
+    async setFilter(type) {
+      if (type === this.currentFilter || !this._pageConfig.filters.includes(type)) return;
+
+      this._filterCache[this.currentFilter] = { feed: this.feed, cursor: this.cursor, hasMore: this.hasMore };
+      this._filterSeq++;
+      this.currentFilter = type;
+      this.newPostsCount = 0;
+
+      const cached = this._filterCache[type];
+      if (cached) {
+        this.feed = cached.feed;
+        this.cursor = cached.cursor;
+        this.hasMore = cached.hasMore;
+        this._checkNewPosts();
+        return;
+      }
+
+      this.feed = [];
+      this.cursor = null;
+      this.hasMore = true;
+      this.isLoading = true;
+      const seq = this._filterSeq;
+      await this.loadFeed();
+      if (seq === this._filterSeq) this.isLoading = false;
+    },
+
+    /** A loaded post with this id, from the current feed or any cached filter. */
+    _findLoadedPost(id) {
+      return this.feed.find((p) => p.id === id)
+        || Object.values(this._filterCache).flatMap((c) => c.feed).find((p) => p.id === id);
+    },
+
+    /** Forgets a filter's cached results (e.g. 'liked' after a like). */
+    _dropFilterCache(type) {
+      if (type !== this.currentFilter) delete this._filterCache[type];
+    },
+
+    // ── New Posts Pill ───────────────────────────────────
+    get newPostsLabel() {
+      return `${this.newPostsCount} new post${this.newPostsCount === 1 ? '' : 's'}`;
+    },
+
+    /** Keyset { created_at, id } of the newest post in the feed, or null. */
+    get _newestKey() {
+      const newest = this.feed.reduce((best, p) => (!best || isNewerPost(p, best) ? p : best), null);
+      return newest ? { created_at: newest.created_at, id: newest.id } : null;
+    },
+
+    _sinceParams(key) {
+      const { sinceParams } = this._pageConfig.newPosts;
+      return { [sinceParams.createdAt]: key.created_at, [sinceParams.id]: key.id };
+    },
+
+    /**
+     * Re-checks for newer posts when one is published (realtime), after
+     * a reconnect, and when the tab is shown again.
+     */
+    _watchNewPosts() {
+      const check = debounce(() => this._checkNewPosts(), 1000);
+
+      onRealtime('post_published', (data) => {
+        if (!data?.creator_id || data.creator_id === getCreatorContext().id) check();
+      });
+      onRealtime('resync', check);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') check();
+      });
+    },
+
+    async _checkNewPosts() {
+      const since = this._newestKey;
+      if (!since) return;
+
+      const { countEndpoint } = this._pageConfig.newPosts;
+      const searchParams = { ...this._sinceParams(since) };
+      if (this.currentFilter !== 'all') searchParams[this._pageConfig.filterParam] = this.currentFilter;
+
+      try {
+        const { count } = await API.feed.get(countEndpoint, { searchParams }).json();
+        if (since.id === this._newestKey?.id) this.newPostsCount = count || 0;
+      } catch (e) {
+        console.warn('[Feed] New posts check failed:', e);
+      }
+    },
+
+    /**
+     * Bound to the pill: prepends the new posts. Existing cards keep
+     * their DOM (x-for is keyed by post.id), so playing videos carry on.
+     * Past `maxPrepend` the feed is reloaded from the top instead.
+     */
+    async showNewPosts() {
+      const since = this._newestKey;
+      if (this.isNewPostsLoading || !since) return;
+
+      const { maxPrepend } = this._pageConfig.newPosts;
+      if (this.newPostsCount > maxPrepend) return this._reloadFeed();
+
+      const ep = this.user.subscribed
+        ? this._pageConfig.endpoints.premium
+        : this._pageConfig.endpoints.unsubbed;
+      const searchParams = {
+        ...this._sinceParams(since),
+        per_page: Math.min(Math.max(this.newPostsCount, this._pageConfig.perPage), maxPrepend),
+      };
+      if (this.currentFilter !== 'all') searchParams[this._pageConfig.filterParam] = this.currentFilter;
+
+      this.isNewPostsLoading = true;
+      const seq = this._filterSeq;
+
+      try {
+        const res = await API.feed.get(ep, { searchParams }).json();
+        if (seq !== this._filterSeq) return;
+
+        const loaded = new Set(this.feed.map((p) => p.id));
+        const fresh = res
+          .filter((item) => isPublished(item) && !loaded.has(item.id))
+          .map((item) => this._findLoadedPost(item.id) || this._mapPost(item));
+        this.feed = [...fresh, ...this.feed];
+        this.newPostsCount = 0;
+      } catch (e) {
+        console.error('[Feed] New posts load failed:', e);
+      } finally {
+        this.isNewPostsLoading = false;
+      }
+    },
+
+    /** Starts the current filter again from the newest post. */
+    async _reloadFeed() {
+      this._filterSeq++;
+      this.feed = [];
+      this.cursor = null;
+      this.hasMore = true;
+      this.newPostsCount = 0;
+      this.isLoading = true;
+      window.scrollTo(0, 0);
+
+      const seq = this._filterSeq;
+      await this.loadFeed();
+      if (seq === this._filterSeq) this.isLoading = false;
+    },
+
+    // ── Back-Navigation Restore (sessionStorage) ─────────
+    get _snapshotKey() {
+      return `${this._pageConfig.snapshotKey}:${window.location.pathname}`;
+    },
+
+    /**
+     * Saves the loaded feed, cursor and scroll position for this tab.
+     * Comments and per-card UI state are left out — they reload on demand.
+     */
+    _saveSnapshot() {
+      if (!this._pageConfig.snapshotKey || this.isLoading || this.feed.length === 0) return;
+
+      const snapshot = {
+        savedAt:    Date.now(),
+        userId:     this.user.id,
+        subscribed: this.user.subscribed,
+        tierId:     this.user.tier_id,
+        filter:     this.currentFilter,
+        cursor:     this.cursor,
+        hasMore:    this.hasMore,
+        scrollY:    window.scrollY,
+        feed:       this.feed.map(({ comments, commentUsers, ...post }) => post),
+      };
+
+      try {
+        sessionStorage.setItem(this._snapshotKey, JSON.stringify(snapshot));
+      } catch (err) {
+        // Quota exceeded — the next visit simply loads from the top
+        console.warn('[Feed] Snapshot not saved:', err);
+      }
+    },
+
+    /**
+     * On Back/Forward only, restores a recent snapshot for the same user
+     * and access level, then scrolls back to where the reader was. Any
+     * other load (link, reload, typed URL) drops it and starts at the top.
+     * @returns {boolean} True if the feed was restored.
+     */
+    _restoreSnapshot() {
+      if (!this._pageConfig.snapshotKey) return false;
+      if (!isBackForwardLoad()) {
+        sessionStorage.removeItem(this._snapshotKey);
+        return false;
+      }
+
+      let snapshot;
+      try {
+        snapshot = JSON.parse(sessionStorage.getItem(this._snapshotKey) || 'null');
+      } catch {
+        snapshot = null;
+      }
+      if (!snapshot) return false;
+
+      const usable = Date.now() - snapshot.savedAt < this._pageConfig.snapshotTtl
+        && snapshot.userId === this.user.id
+        && snapshot.subscribed === this.user.subscribed
+        && snapshot.tierId === this.user.tier_id
+        && this._pageConfig.filters.includes(snapshot.filter);
+      if (!usable) {
+        sessionStorage.removeItem(this._snapshotKey);
+        return false;
+      }
+
+      this.currentFilter = snapshot.filter;
+      this.cursor = snapshot.cursor;
+      this.hasMore = snapshot.hasMore;
+      this.feed = snapshot.feed.filter(isPublished).map((item) => this._mapPost(item));
+
+      if (snapshot.filter !== 'all') {
+        document.querySelectorAll('.filter_button').forEach((b) => b.classList.remove('is-active'));
+        document.querySelector(`[data-element="filter-${snapshot.filter}"]`)?.classList.add('is-active');
+      }
+
+      // Wait for the x-for cards to render (and their images to size) before scrolling
+      this.$nextTick(() => requestAnimationFrame(() => window.scrollTo(0, snapshot.scrollY)));
+      return true;
+    },
+
+    /** Adds the per-card UI state to a post from the API. */
+    _mapPost(item) {
+      return {
+        ...item,
+        paid: !!(item.paid || item.tier_id),   // Tiered posts count as paid for filters
+        isPlaying: false,
+        isMuted: true,
+        timeAgoDisplay: timeAgoDisplay(item.created_at),
+        slideIndex: 0,
+        commentsLoaded: false,
+        commentsSort: null,     // Sort the loaded comments were fetched with
+        commentsPage: 0,
+        hasMoreComments: false,
+        comments: [],
+        commentUsers: {},
+      };
+    },
+
+    // ── Deep Linking (?content_id=&comment_id=&slide=) ───
     async _handleDeepLink() {
       const params = new URLSearchParams(window.location.search);
       const contentId = params.get('content_id');
-      const commentId = params.get('comment_id');
       if (!contentId) return;
 
-      let post = this.feed.find((p) => p.id === parseInt(contentId, 10));
+      const post = await this.openPostById(contentId, {
+        commentId: params.get('comment_id'),
+        slide:     parseInt(params.get('slide'), 10) || 1,   // 1-based in URLs
+      });
+      if (post) window.history.replaceState({}, document.title, window.location.pathname);
+    },
 
-      if (!post) {
+    /**
+     * Resolves a post by id — from what's loaded, otherwise the
+     * single-post endpoint — and opens it in the lightbox. Used by URL
+     * deep links, the permalink page and notification clicks.
+     *
+     * @param {number|string} contentId
+     * @param {object}  [opts]
+     * @param {number}  [opts.commentId] - Scrolls to + highlights this comment.
+     * @param {number}  [opts.slide]     - 1-based gallery slide.
+     * @param {boolean} [opts.open]      - false → resolve without opening.
+     * @returns {Promise<object|null>} The post, or null (not-found popup shown).
+     */
+    async openPostById(contentId, { commentId = null, slide = 1, open = true } = {}) {
+      const post = await this._resolvePost(contentId);
+      if (!post) return null;
+
+      post.slideIndex = Math.max(slide - 1, 0);
+      if (!open) return post;
+
+      // Pay-per-view posts open from their card's Unlock button — or,
+      // when it isn't a loaded card, from a popup offering the same
+      if (isUnlockRequired(post)) {
+        if (this.feed.includes(post)) {
+          await this.$nextTick();
+          document.querySelector(`[data-post-id="${post.id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+          this._offerUnlock(post);
+        }
+        return post;
+      }
+
+      await Alpine.store('app').openLightbox(post, this.players, this);
+      if (commentId) this._highlightComment(commentId);
+      return post;
+    },
+
+    async _resolvePost(contentId) {
+      const id = parseInt(contentId, 10);
+      let post = id ? this._findLoadedPost(id) : null;
+
+      if (!post && id) {
+        let fetched = null;
         try {
-          const ep = this.user.subscribed
-            ? this._pageConfig.endpoints.premium
-            : this._pageConfig.endpoints.unsubbed;
-          const response = await API.feed
-            .get(ep, { searchParams: { page: 1, per_page: 50 } })
+          fetched = await API.feed
+            .get(this._pageConfig.endpoints.item, { searchParams: { id } })
             .json();
-          const fetched = response.find((p) => p.id === parseInt(contentId, 10));
-
-          if (fetched) {
-            post = {
-              ...fetched,
-              isPlaying: false,
-              isMuted: true,
-              timeAgoDisplay: timeAgoDisplay(fetched.created_at),
-              commentsLoaded: false,
-              comments: [],
-              commentUsers: {},
-            };
-            this.feed.unshift(post);
-          } else {
-            this.popup = {
-              show: true,
-              header: 'Content Not Found',
-              message: 'This post may have been deleted or is no longer available.',
-              btnText: 'OK',
-              isLocked: false,
-              showCloseIcon: true,
-              btnAction: () => (this.popup.show = false),
-            };
-            return;
+        } catch (e) {
+          if (e.response?.status !== 404) {
+            console.error('[Feed] Post load failed:', e);
+            this._handleApiError(e);
+            return null;
           }
-        } catch {
-          return;
         }
+        // Scheduled posts 404 server-side; the check is a fallback
+        if (fetched?.id && isPublished(fetched)) post = this._mapPost(fetched);
       }
 
-      if (post) {
-        await Alpine.store('app').openLightbox(post, this.players, this);
+      if (!post) {
+        this.postNotFound = true;
+        this.triggerError('not_found');
+        return null;
+      }
 
-        if (commentId) {
-          await this.$nextTick();
-          setTimeout(() => {
-            const el = document.querySelector(`[data-comment-id="${commentId}"]`);
-            if (el) {
-              el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-              el.style.backgroundColor = 'rgba(77, 101, 255, 0.2)';
-              setTimeout(() => (el.style.backgroundColor = ''), 2000);
-            }
-          }, 600);
+      // Fetched posts stay detached: they may be older than the loaded
+      // page or outside the current filter, so they aren't added to feed
+      return post;
+    },
+
+    /** Unlock popup for a pay-per-view post with no card on the page. */
+    _offerUnlock(post) {
+      this.popup = {
+        show: true,
+        header: 'Unlock Post',
+        message: 'This post is pay-per-view.',
+        btnText: `Unlock for ${formatPrice(post.price)}`,
+        isLocked: false,
+        showCloseIcon: true,
+        btnAction: () => this.unlockPost(post),
+      };
+    },
+
+    /**
+     * Scrolls to + flashes a comment. Comments are paged, so a few more
+     * pages are loaded if it isn't among them yet (replies beyond a
+     * thread's preview are not searched).
+     */
+    async _highlightComment(commentId, pagesLeft = 3) {
+      const id = parseInt(commentId, 10);
+      const post = this.activePost;
+      const isLoaded = post?.comments.some((c) => c.id === id || c.replies.some((r) => r.id === id));
+
+      if (post && !isLoaded && post.hasMoreComments && pagesLeft > 0) {
+        await this.loadMoreComments();
+        this._highlightComment(commentId, pagesLeft - 1);
+        return;
+      }
+
+      setTimeout(() => {
+        const el = document.querySelector(`[data-comment-id="${commentId}"]`);
+        if (el) {
+          el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          el.style.backgroundColor = 'rgba(77, 101, 255, 0.2)';
+          setTimeout(() => (el.style.backgroundColor = ''), 2000);
         }
+      }, 600);
+    },
+
+    // ── Permalink (/membership/post/<id>) ────────────────
+    /** Shareable URL for a post. */
+    permalink(post) {
+      return new URL(postPermalinkPath(post.id), window.location.origin).href;
+    },
 
-        window.history.replaceState({}, document.title, window.location.pathname);
+    async copyPermalink(post) {
+      try {
+        await navigator.clipboard.writeText(this.permalink(post));
+        this.copiedPostId = post.id;
+        setTimeout(() => {
+          if (this.copiedPostId === post.id) this.copiedPostId = null;
+        }, SETTINGS_CONFIG.successFeedbackDuration);
+      } catch {
+        // Clipboard blocked (no user gesture / permissions) — nothing to copy to
       }
     },
 
+    /**
+     * Permalink page: the post id comes from the path (or ?content_id=
+     * where the host can't rewrite paths). Shows the post as the only
+     * card; `?comment_id=` also opens it on that comment.
+     */
+    async _loadPermalinkPost() {
+      this.hasMore = false;
+
+      const params = new URLSearchParams(window.location.search);
+      const match = getRoutePath().match(new RegExp(`^${POST_CONFIG.route}/(\\d+)/?$`));
+      const contentId = match?.[1] || params.get('content_id');
+      const commentId = params.get('comment_id');
+
+      const post = await this._resolvePost(contentId);
+      if (!post) return;
+
+      this.feed = [post];
+      await this.openPostById(post.id, {
+        commentId,
+        slide: parseInt(params.get('slide'), 10) || 1,
+        open:  !!commentId,
+      });
+    },
+
     // ── Video Player Management ──────────────────────────
     pauseAllPlayers(exceptId = null) {
       this.players.forEach((p, id) => {
@@ -287,7 +721,8 @@ function createFeedComponent(pageConfig) {
 
     initPlayer(post) {
       if (post.content_type !== 'video') return;
-      if (post.paid && !this.user.subscribed) return;
+      if (this.isTierLocked(post)) return;
+      if (isUnlockRequired(post)) return;
 
       this.$nextTick(() => {
         const el = document.querySelector(`#video-${post.id}`);
@@ -301,6 +736,7 @@ function createFeedComponent(pageConfig) {
         );
 
         if (result) {
+          trackVideo(result.player, post.id);
           this.players.set(post.id, result.player);
           this.observers.set(post.id, result.observer);
           if (result.hls) this._hlsInstances.set(post.id, result.hls);
@@ -313,11 +749,13 @@ function createFeedComponent(pageConfig) {
         const el = document.querySelector('#video-lightbox');
         if (!el) return;
 
+        const { url, post } = Alpine.store('app').lightbox;
         const player = initLightboxPlayer(
           el,
-          Alpine.store('app').lightbox.url,
+          url,
           (exceptId) => this.pauseAllPlayers(exceptId),
         );
+        if (post) trackVideo(player, post.id, { surface: 'lightbox', trackMute: true });
 
         Alpine.store('app').lightbox.player = player;
       });
@@ -334,16 +772,46 @@ function createFeedComponent(pageConfig) {
         p.muted = !p.muted;
         p.volume = p.muted ? 0 : 1;
         post.isMuted = p.muted;
+        trackEvent(p.muted ? 'mute' : 'unmute', post.id);
       }
     },
 
+    // ── Access Control ───────────────────────────────────
+    /**
+     * Permission check against ACCESS_CONFIG.permissions.
+     * Used in Webflow: x-show="can('comment.hide')"
+     */
+    can(permission) {
+      return hasPermission(this.user.roles, permission);
+    },
+
+    // ── Subscription Tiers ───────────────────────────────
+    /** The active creator's tiers, lowest first (see tiers.js). */
+    get tiers() {
+      return getTiers(this.creator);
+    },
+
+    /** Minimum tier for a post, or null. Used in Webflow: x-text="requiredTier(post)?.name" */
+    requiredTier(post) {
+      return getRequiredTier(post, this.tiers);
+    },
+
+    isTierLocked(post) {
+      return isTierLocked(post, this.user, this.tiers);
+    },
+
+    /** "Requires Gold" popup → plan tab, preselecting that tier. */
+    openTierGate(post) {
+      this.triggerError('tier', this.requiredTier(post));
+    },
+
     // ── Creator Bio Editing ──────────────────────────────
     /**
-     * Returns true if the current user is the content creator.
+     * Returns true if the current user owns the active creator profile.
      * Used in Webflow: x-show="isCreator"
      */
     get isCreator() {
-      return this.user.id === SETTINGS_CONFIG.creatorUserId;
+      return !!this.user.id && this.user.id === this.creator.user_id;
     },
 
     /**
@@ -422,24 +890,38 @@ function createFeedComponent(pageConfig) {
       const prevCount = post.likes_count;
       post.is_liked = !prev;
       post.likes_count += post.is_liked ? 1 : -1;
-
-      API.comment
-        .post('user_like_content', { json: { content_list_id: post.id, like: post.is_liked } })
-        .catch(() => {
-          post.is_liked = prev;
-          post.likes_count = prevCount;
-        });
+      this._dropFilterCache('liked');
+
+      sendMutation(
+        'comment',
+        'user_like_content',
+        { content_list_id: post.id, like: post.is_liked },
+        { key: `like:${post.id}` },
+      ).catch(() => {
+        post.is_liked = prev;
+        post.likes_count = prevCount;
+      });
     },
 
     toggleBookmark(post) {
       const prev = post.is_bookmarked;
       post.is_bookmarked = !prev;
+      this._dropFilterCache('bookmarked');
+
+      sendMutation(
+        'comment',
+        'user_bookmark_content',
+        { content_list_id: post.id, bookmark: post.is_bookmarked },
+        { key: `bookmark:${post.id}` },
+      ).catch(() => (post.is_bookmarked = prev));
+    },
 
-      API.comment
-        .post('user_bookmark_content', {
-          json: { content_list_id: post.id, bookmark: post.is_bookmarked },
-        })
-        .catch(() => (post.is_bookmarked = prev));
+    /**
+     * True while a like/bookmark/comment on this post is still in
+     * the offline outbox. Used in Webflow: :class="{ 'is-pending': isPending(post) }"
+     */
+    isPending(post) {
+      return this.pendingKeys.some((key) => key.split(':')[1] === String(post.id));
     },
 
     toggleCommentLike(comment) {
@@ -472,19 +954,99 @@ function createFeedComponent(pageConfig) {
       };
       if (store.replyingTo) payload.parent_comment_id = store.replyingTo.id;
 
+      const post = this.activePost;
+      const key = `comment:${post.id}:${Date.now()}`;
+
       try {
-        await API.comment.post('comment/post_comment', { json: payload });
+        const res = await sendMutation('comment', 'comment/post_comment', payload, {
+          key,
+          meta: { contentId: post.id },
+        });
         store.reset();
         this.showPicker = false;
         this.showLightboxPicker = false;
-        this.activePost.commentsLoaded = false;
-        if (this.activePost.comments_count < 999) this.activePost.comments_count++;
-        await this.openComments(this.activePost, this.isDrawerOpen);
+        if (post.comments_count < 999) post.comments_count++;
+
+        // Offline → show it locally until the outbox replays it
+        if (res?.queued) {
+          this._appendPendingComment(post, payload, key);
+          return;
+        }
+
+        // Insert the saved comment in place — refetching would drop the
+        // pages of comments and replies already loaded
+        const saved = await res.json().catch(() => null);
+        if (saved?.id) {
+          this._insertSavedComment(post, saved, payload.parent_comment_id);
+        } else {
+          post.commentsLoaded = false;
+          await this._fetchComments(post);
+        }
       } catch (e) {
         this._handleApiError(e);
       }
     },
 
+    /** Adds the current user to a post's comment user map. */
+    _addOwnCommentUser(post) {
+      post.commentUsers = {
+        ...post.commentUsers,
+        [this.user.id]: { id: this.user.id, name: this.user.name, avatar_url: this.user.avatar_url },
+      };
+    },
+
+    /**
+     * Adds the user's just-saved comment or reply to the loaded list.
+     * Replies are flagged `isLocal` so they never become the cursor for
+     * "View more replies" (see loadMoreReplies).
+     */
+    _insertSavedComment(post, saved, parentId) {
+      this._addOwnCommentUser(post);
+      const own = { user_id: this.user.id, ...saved };
+
+      const parent = parentId && post.comments.find((c) => c.id === parentId);
+      if (parent) {
+        parent.replies.push({ ...this._mapReply(own), isLocal: true });
+        parent.replies_count = (parent.replies_count || 0) + 1;
+        parent.areRepliesOpen = true;
+        return;
+      }
+
+      const comment = this._mapComment(own);
+      const list = this.commentSort === 'oldest' ? [...post.comments, comment] : [comment, ...post.comments];
+      post.comments = this._orderComments(list);
+    },
+
+    /** Renders a queued comment/reply optimistically with `isPending: true`. */
+    _appendPendingComment(post, payload, key) {
+      const comment = {
+        id:               key,
+        user_id:          this.user.id,
+        comment_text:     payload.comment_text,
+        created_at:       new Date().toISOString(),
+        timeAgo:          timeAgoShort(new Date()),
+        is_liked:         false,
+        likes_count:      0,
+        isPending:        true,
+        areRepliesOpen:   false,
+        isRepliesLoading: false,
+        replies_count:    0,
+        replies:          [],
+      };
+
+      this._addOwnCommentUser(post);
+
+      const parent = payload.parent_comment_id
+        && post.comments.find((c) => c.id === payload.parent_comment_id);
+      if (parent) {
+        parent.replies.push(comment);
+        parent.areRepliesOpen = true;
+      } else {
+        const list = this.commentSort === 'oldest' ? [...post.comments, comment] : [comment, ...post.comments];
+        post.comments = this._orderComments(list);
+      }
+    },
+
     async openComments(post, force = true) {
       this.activePost = post;
       Alpine.store('input').reset();
@@ -492,33 +1054,198 @@ function createFeedComponent(pageConfig) {
         this.isDrawerOpen = true;
         this.handleLayoutComment();
       }
-      if (post.commentsLoaded) return;
+      if (post.commentsLoaded && post.commentsSort === this.commentSort) return;
+
+      try {
+        await this._fetchComments(post);
+      } catch (e) {
+        this._handleApiError(e);
+      }
+    },
+
+    /**
+     * Fetches one page of top-level comments (each with its first
+     * `repliesPreview` replies) in the current sort. Page 1 replaces
+     * the list; `more` appends the next page.
+     */
+    async _fetchComments(post, { more = false } = {}) {
+      const sort = this.commentSort;
+      const page = more ? post.commentsPage + 1 : 1;
+
+      const res = await API.comment
+        .get(COMMENTS_CONFIG.endpoints.list, {
+          searchParams: {
+            content_id:         post.id,
+            sort,
+            page,
+            per_page:           COMMENTS_CONFIG.perPage,
+            replies_per_thread: COMMENTS_CONFIG.repliesPreview,
+          },
+        })
+        .json();
+      if (sort !== this.commentSort) return;   // Sort changed while loading
+
+      const mapped = (res.structured_comments || []).map((c) => this._mapComment(c));
+      const existing = more ? post.comments : [];
+      const loaded = new Set(existing.map((c) => c.id));
+
+      post.commentUsers = this._mergeCommentUsers(more ? post.commentUsers : {}, res.user_list);
+      post.comments = this._orderComments([...existing, ...mapped.filter((c) => !loaded.has(c.id))]);
+      post.commentsPage = page;
+      post.hasMoreComments = res.has_more ?? mapped.length >= COMMENTS_CONFIG.perPage;
+      post.commentsSort = sort;
+      post.commentsLoaded = true;
+    },
+
+    _mapComment(c) {
+      return {
+        ...c,
+        timeAgo: timeAgoShort(c.created_at),
+        areRepliesOpen: false,
+        isRepliesLoading: false,
+        is_liked: !!c.is_liked,
+        replies_count: c.replies_count ?? (c.replies || []).length,
+        replies: (c.replies || []).map((r) => this._mapReply(r)),
+      };
+    },
+
+    _mapReply(r) {
+      return { ...r, timeAgo: timeAgoShort(r.created_at), is_liked: !!r.is_liked };
+    },
+
+    _mergeCommentUsers(userMap, userList = []) {
+      const merged = { ...userMap };
+      userList.forEach((u) => {
+        merged[u.id] = { ...u, avatar_url: formatAvatar(u.avatar_url) };
+      });
+      return merged;
+    },
+
+    /**
+     * Pinned comments first, then the creator's own, then everything
+     * else — each group keeps the server's sort order.
+     */
+    _orderComments(comments) {
+      const rank = (c) => {
+        if (c.is_pinned) return 0;
+        return c.user_id && c.user_id === this.creator.user_id ? 1 : 2;
+      };
+      return [...comments].sort((a, b) => rank(a) - rank(b));
+    },
+
+    /** Bound to the Newest / Oldest / Most liked switch. */
+    async setCommentSort(sort) {
+      if (sort === this.commentSort || !COMMENTS_CONFIG.sorts[sort]) return;
+
+      this.commentSort = sort;
+      const post = this.activePost;
+      if (!post) return;
+
+      try {
+        await this._fetchComments(post);
+      } catch (e) {
+        this._handleApiError(e);
+      }
+    },
+
+    /** Next page of top-level comments for the open post. */
+    async loadMoreComments() {
+      const post = this.activePost;
+      if (!post?.hasMoreComments || this.isCommentsLoading) return;
+
+      this.isCommentsLoading = true;
+      try {
+        await this._fetchComments(post, { more: true });
+      } catch (e) {
+        this._handleApiError(e);
+      } finally {
+        this.isCommentsLoading = false;
+      }
+    },
+
+    // ── Replies ("View N more replies") ──────────────────
+    /** Replies in the thread that haven't been loaded yet. */
+    moreRepliesCount(comment) {
+      const loaded = comment.replies.filter((r) => !r.isPending).length;
+      return Math.max((comment.replies_count || 0) - loaded, 0);
+    },
+
+    moreRepliesLabel(comment) {
+      const n = this.moreRepliesCount(comment);
+      return `View ${n} more ${n === 1 ? 'reply' : 'replies'}`;
+    },
+
+    /**
+     * Loads the next chunk of a thread's replies (oldest first). The
+     * cursor is the last reply paged in from the server — the user's
+     * own new replies (`isLocal`) sit at the end out of order.
+     */
+    async loadMoreReplies(post, comment) {
+      if (comment.isRepliesLoading || this.moreRepliesCount(comment) === 0) return;
+
+      const paged = comment.replies.filter((r) => !r.isPending && !r.isLocal);
+      const last = paged[paged.length - 1];
+      comment.isRepliesLoading = true;
 
       try {
         const res = await API.comment
-          .get('comment/get_content_comments', { searchParams: { content_id: post.id } })
+          .get(COMMENTS_CONFIG.endpoints.replies, {
+            searchParams: {
+              comment_id: comment.id,
+              after_id:   last?.id ?? 0,
+              per_page:   COMMENTS_CONFIG.repliesPerPage,
+            },
+          })
           .json();
 
-        const userMap = {};
-        (res.user_list || []).forEach((u) => {
-          userMap[u.id] = { ...u, avatar_url: formatAvatar(u.avatar_url) };
-        });
+        const fetched = (res.replies || []).map((r) => this._mapReply(r));
+        const pagedIds = new Set(paged.map((r) => r.id));
+        const fetchedIds = new Set(fetched.map((r) => r.id));
+
+        post.commentUsers = this._mergeCommentUsers(post.commentUsers, res.user_list);
+        // Keep the user's own (pending / local) replies after the ones from
+        // the server, unless this page just reached them
+        comment.replies = [
+          ...paged,
+          ...fetched.filter((r) => !pagedIds.has(r.id)),
+          ...comment.replies.filter((r) => (r.isPending || r.isLocal) && !fetchedIds.has(r.id)),
+        ];
+        comment.areRepliesOpen = true;
+        // Server says the thread is done — trust it over a stale count
+        if (fetched.length < COMMENTS_CONFIG.repliesPerPage) {
+          comment.replies_count = comment.replies.filter((r) => !r.isPending).length;
+        }
+      } catch (e) {
+        this._handleApiError(e);
+      } finally {
+        comment.isRepliesLoading = false;
+      }
+    },
 
-        post.comments = (res.structured_comments || []).map((c) => ({
-          ...c,
-          timeAgo: timeAgoShort(c.created_at),
-          areRepliesOpen: false,
-          is_liked: !!c.is_liked,
-          replies: (c.replies || []).map((r) => ({
-            ...r,
-            timeAgo: timeAgoShort(r.created_at),
-            is_liked: !!r.is_liked,
-          })),
-        }));
-
-        post.commentUsers = userMap;
-        post.commentsLoaded = true;
+    /**
+     * Hides a comment or reply (moderators and up). Optimistic —
+     * restored in place if the request fails.
+     */
+    async hideComment(post, comment) {
+      if (!this.can('comment.hide')) return;
+
+      const thread = post.comments.includes(comment)
+        ? null
+        : post.comments.find((c) => c.replies?.includes(comment));
+      const list = thread ? thread.replies : post.comments;
+      if (!list.includes(comment)) return;
+
+      const index = list.indexOf(comment);
+      list.splice(index, 1);
+      if (thread) thread.replies_count--;
+
+      try {
+        await API.comment.post('comment/hide_comment', {
+          json: { comment_id: comment.id, hidden: true },
+        });
       } catch (e) {
+        list.splice(index, 0, comment);
+        if (thread) thread.replies_count++;
         this._handleApiError(e);
       }
     },
@@ -595,70 +1322,146 @@ function createFeedComponent(pageConfig) {
     },
 
     // ── Error Handling ───────────────────────────────────
-    triggerError(type) {
-      if (type === 'subscription') {
+    triggerError(type, detail) {
+      triggerError(this, type, detail);
+    },
+
+    _handleApiError(e) {
+      handleApiError(this, e);
+    },
+
+    // ── Stripe Checkout ──────────────────────────────────
+    /** Quotes the price (promo / trial applied) in the popup before redirecting. */
+    handleStripeCheckout(priceId, mode) {
+      return startSubscriptionCheckout(this, { price_id: priceId, mode });
+    },
+
+    /** Popup promo field: @click="applyPromoCode()" */
+    applyPromoCode() {
+      return applyPromoCode(this);
+    },
+
+    // ── Pay-Per-View ─────────────────────────────────────
+    isLocked(post) {
+      return isUnlockRequired(post);
+    },
+
+    /** "Unlock for $X" → one-off checkout tied to this post. */
+    unlockPost(post) {
+      return unlockItem(this, 'content', post.id);
+    },
+
+    /**
+     * Back from Stripe with ?unlocked=content:<id> → refetch that post
+     * until it's unlocked and swap its media in place.
+     */
+    async _handleUnlockReturn() {
+      const unlock = readUnlockReturn();
+      if (unlock?.type !== 'content') return;
+
+      const fetchPost = () => API.feed
+        .get(this._pageConfig.endpoints.item, { searchParams: { id: unlock.id } })
+        .json();
+
+      const fresh = await pollUnlocked(fetchPost);
+      if (!fresh) {
         this.popup = {
           show: true,
-          header: 'Subscription Required',
-          message: 'Unlock premium content and private messages.',
-          btnText: 'Subscribe',
+          header: 'Payment Received',
+          message: 'Your unlock is still processing. Refresh in a moment to view it.',
+          btnText: 'OK',
           isLocked: false,
           showCloseIcon: true,
-          btnAction: () => (window.location.href = '/setting?tab=plan'),
+          btnAction: () => (this.popup.show = false),
         };
+        return;
+      }
+
+      const post = this.feed.find((p) => p.id === unlock.id);
+      if (post) {
+        // x-html re-renders renderMedia(post); videos re-run initPlayer
+        Object.assign(post, {
+          display_url: fresh.display_url,
+          media:       fresh.media,
+          unlocked:    true,
+        });
       } else {
-        let countdown = 20;
-        this.popup = {
-          show: true,
-          header: 'Rate Limited',
-          message: 'Please wait a moment.',
-          isLocked: true,
-          showCloseIcon: false,
-          btnText: `Wait ${countdown}s`,
-          btnAction: null,
-        };
-        const interval = setInterval(() => {
-          countdown--;
-          if (countdown > 0) {
-            this.popup.btnText = `Wait ${countdown}s`;
-          } else {
-            clearInterval(interval);
-            this.popup.isLocked = false;
-            this.popup.btnText = 'Return Home';
-            this.popup.btnAction = () => this.logout();
-          }
-        }, 1000);
+        // Unlocked from a deep link — not a card here, so open it directly
+        await Alpine.store('app').openLightbox(this._mapPost(fresh), this.players, this);
       }
     },
 
-    _handleApiError(e) {
-      const status = e?.response?.status;
-      if (status === 401) this.logout();
-      else if (status === 403) this.triggerError('subscription');
-      else if (status === 429) this.triggerError('rate_limit');
-      else this.triggerError('rate_limit');
+    // ── Tips ─────────────────────────────────────────────
+    /**
+     * Opens the tip modal. Called from feed cards and the lightbox with
+     * a post, from a comment with (post, comment), or from the profile
+     * header with no arguments.
+     */
+    openTip(post = null, comment = null) {
+      this.tip = {
+        show: true,
+        post,
+        comment,
+        amount: CHECKOUT_CONFIG.tips.presets[0],
+        custom: '',
+        message: '',
+        error: '',
+      };
     },
 
-    // ── Stripe Checkout ──────────────────────────────────
-    async handleStripeCheckout(priceId, mode) {
+    closeTip() {
+      this.tip.show = false;
+    },
+
+    selectTipAmount(cents) {
+      this.tip.amount = cents;
+      this.tip.custom = '';
+      this.tip.error = '';
+    },
+
+    /** Selected amount in cents — a custom amount wins over the preset. */
+    get tipAmount() {
+      const custom = parseFloat(this.tip.custom);
+      return Number.isFinite(custom) ? Math.round(custom * 100) : this.tip.amount;
+    },
+
+    submitTip() {
+      const { minAmount, maxAmount, messageMaxLength } = CHECKOUT_CONFIG.tips;
+      const amount = this.tipAmount;
+      const message = this.tip.message.trim();
+
+      if (!(amount >= minAmount * 100 && amount <= maxAmount * 100)) {
+        this.tip.error = `Tips must be between ${formatPrice(minAmount * 100)} and ${formatPrice(maxAmount * 100)}.`;
+        return;
+      }
+      if (message.length > messageMaxLength) {
+        this.tip.error = `Message must be ${messageMaxLength} characters or fewer.`;
+        return;
+      }
+
+      this.tip.show = false;
+      return sendTip(this, {
+        amount,
+        message,
+        contentId: this.tip.post?.id ?? null,
+        commentId: this.tip.comment?.id ?? null,
+      });
+    },
+
+    /** Back from Stripe with ?tipped=<cents> → confirm the tip. */
+    _handleTipReturn() {
+      const amount = readTipReturn();
+      if (!amount) return;
+
       this.popup = {
-        ...this.popup,
         show: true,
-        header: 'Processing',
-        message: 'Redirecting...',
-        isLocked: true,
-        showCloseIcon: false,
-        btnText: 'Loading...',
+        header: 'Tip Sent',
+        message: `Thanks! Your ${formatPrice(amount)} tip is on its way to the creator.`,
+        btnText: 'OK',
+        isLocked: false,
+        showCloseIcon: true,
+        btnAction: () => (this.popup.show = false),
       };
-
-      try {
-        const res = await API.checkout
-          .post('stripe/create_checkout_session', { json: { price_id: priceId, mode } })
-          .json();
-        if (res.url) window.location.href = res.url;
-      } catch (e) {
-        this._handleApiError(e);
-      }
     },
 
     // ── Cleanup & Logout ─────────────────────────────────
@@ -674,8 +1477,8 @@ function createFeedComponent(pageConfig) {
       if (window.authManager) {
         window.authManager.logout();
       } else {
-        localStorage.removeItem('authToken');
-        window.location.href = '/auth/login';
+        localStorage.removeItem(AUTH_CONFIG.storage.authToken);
+        window.location.href = creatorRoute(AUTH_CONFIG.routes.login);
       }
     },
 
@@ -697,7 +1500,24 @@ function createFeedComponent(pageConfig) {
       return post?.commentUsers?.[userId] || { name: 'User', avatar_url: PLACEHOLDER };
     },
 
+    /**
+     * Card media, wrapped so the tracker sees the card enter/leave the
+     * viewport (impressions + dwell; no-op without consent).
+     */
     renderMedia(post) {
+      return `<div data-post-id="${post.id}" x-init="observeImpression(post, $el)">${this._renderMediaBody(post)}</div>`;
+    },
+
+    observeImpression(post, el) {
+      observeImpression(el, post.id);
+    },
+
+    _renderMediaBody(post) {
+      const media = getPostMedia(post);
+      if (isUnlockRequired(post)) return this._renderLocked(post, media);
+      if (this.isTierLocked(post)) return this._renderTierLocked(post, media);
+      if (media.length > 1) return this._renderCarousel(media);
+
       if (post.content_type === 'video') {
         return `<div x-init="initPlayer(post)" class="video-wrapper">
                   <video id="video-${post.id}" playsinline muted loop poster="${post.display_url}"></video>
@@ -708,6 +1528,74 @@ function createFeedComponent(pageConfig) {
               </div>`;
     },
 
+    /**
+     * Gallery card: CSS scroll-snap carousel (native swipe on touch)
+     * with position dots. Video slides show their poster only — they
+     * play in the lightbox, so the feed never runs several players
+     * per card. Evaluated by Alpine via x-html, so `post` is in scope.
+     */
+    _renderCarousel(media) {
+      const slides = media.map((item) => {
+        const inner = item.content_type === 'video'
+          ? `<video playsinline muted preload="none" poster="${item.display_url}" style="width:100%;height:100%;object-fit:cover"></video>
+             <div style="position:absolute;inset:0;display:flex;align-items:center;justify-content:center;font-size:32px;color:#fff;pointer-events:none">▶</div>`
+          : `<img src="${item.display_url}?width=700" class="feed_media-item" style="object-fit:cover;width:100%;height:100%" loading="lazy">`;
+        return `<div class="feed_carousel-slide" style="position:relative;flex:0 0 100%;scroll-snap-align:center">${inner}</div>`;
+      }).join('');
+
+      const dots = media.map((_, i) =>
+        `<span :style="{ opacity: post.slideIndex === ${i} ? 1 : 0.4 }" style="width:6px;height:6px;border-radius:50%;background:#fff;transition:opacity .2s"></span>`,
+      ).join('');
+
+      return `<div style="position:relative;cursor:zoom-in">
+                <div class="feed_carousel" @scroll.debounce.100ms="onCarouselScroll(post, $event.target)" style="display:flex;overflow-x:auto;scroll-snap-type:x mandatory;scrollbar-width:none;border-radius:12px">${slides}</div>
+                <div class="feed_carousel-dots" style="position:absolute;bottom:10px;left:0;right:0;display:flex;justify-content:center;gap:6px;pointer-events:none">${dots}</div>
+              </div>`;
+    },
+
+    /**
+     * Pay-per-view card: the server sends only the blurred teaser as
+     * `display_url` until the post is unlocked.
+     */
+    _renderLocked(post, media) {
+      const count = media.length > 1
+        ? `<span style="font-size:0.875rem;color:#fff;opacity:0.85">${media.length} items</span>`
+        : '';
+
+      return `<div style="position:relative;border-radius:12px;overflow:hidden">
+                <img src="${post.display_url}?width=700" class="feed_media-item" style="object-fit:cover;width:100%" loading="lazy">
+                <div style="position:absolute;inset:0;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:8px;background:rgba(0,0,0,0.35)">
+                  ${count}
+                  <button type="button" class="button" data-element="unlock-post" @click.stop="unlockPost(post)">Unlock for ${formatPrice(post.price)}</button>
+                </div>
+              </div>`;
+    },
+
+    /**
+     * Tier-gated card: the teaser with a "Requires Gold" badge. The
+     * server sends only the teaser to users below the post's tier.
+     */
+    _renderTierLocked(post, media) {
+      const tier = this.requiredTier(post);
+      const count = media.length > 1
+        ? `<span style="font-size:0.875rem;color:#fff;opacity:0.85">${media.length} items</span>`
+        : '';
+
+      return `<div style="position:relative;border-radius:12px;overflow:hidden">
+                <img src="${post.display_url}?width=700" class="feed_media-item" style="object-fit:cover;width:100%" loading="lazy">
+                <div style="position:absolute;inset:0;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:8px;background:rgba(0,0,0,0.35)">
+                  <span data-element="tier-badge" style="color:#fff;font-weight:600">Requires ${escapeHtml(tier.name)}</span>
+                  ${count}
+                  <button type="button" class="button" data-element="tier-upgrade" @click.stop="openTierGate(post)">${this.user.subscribed ? 'Upgrade' : 'Subscribe'}</button>
+                </div>
+              </div>`;
+    },
+
+    /** Tracks the visible slide so dots + lightbox open at the right item. */
+    onCarouselScroll(post, el) {
+      post.slideIndex = Math.round(el.scrollLeft / el.clientWidth);
+    },
+
     // ── Event Binding ────────────────────────────────────
     _bindEvents() {
       // Debounced resize handler
@@ -719,6 +1607,12 @@ function createFeedComponent(pageConfig) {
       }, 250);
       window.addEventListener('resize', onResize);
 
+      // Snapshot the feed when leaving (deep link, checkout, other page)
+      window.addEventListener('pagehide', () => this._saveSnapshot());
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this._saveSnapshot();
+      });
+
       // Logout button
       document.querySelector('[data-element="log-out"]')?.addEventListener('click', (e) => {
         e.preventDefault();
@@ -734,10 +1628,10 @@ function createFeedComponent(pageConfig) {
           btn.addEventListener('click', () => {
             if (this.currentFilter === type && type !== 'all') {
               // Toggle off → back to 'all'
-              this.currentFilter = 'all';
+              this.setFilter('all');
               btn.classList.remove('is-active');
             } else {
-              this.currentFilter = type;
+              this.setFilter(type);
               document.querySelectorAll('.filter_button').forEach((b) => b.classList.remove('is-active'));
               btn.classList.add('is-active');
             }
@@ -745,11 +1639,31 @@ function createFeedComponent(pageConfig) {
         }
       });
 
+      // Offline outbox: track pending keys, reload comments once sent
+      this.pendingKeys = getPendingMutations().map((m) => m.key).filter(Boolean);
+      window.addEventListener('outbox:change', (e) => {
+        this.pendingKeys = e.detail.pending.map((m) => m.key).filter(Boolean);
+      });
+      window.addEventListener('outbox:flushed', (e) => {
+        e.detail.sent.forEach(({ meta }) => {
+          const post = meta?.contentId && this.feed.find((p) => p.id === meta.contentId);
+          if (!post) return;
+          post.commentsLoaded = false;
+          if (this.activePost === post) this._fetchComments(post).catch(() => {});
+        });
+      });
+
       // Stripe checkout delegation
       document.addEventListener('click', (e) => {
         const btn = e.target.closest('[data-checkout="trigger"]');
         if (btn) this.handleStripeCheckout(btn.dataset.price, btn.dataset.mode);
       });
+
+      // Profile-level tip button (outside the x-for card templates)
+      document.querySelector('[data-element="tip-creator"]')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.openTip();
+      });
     },
   });
 }
@@ -765,3 +1679,8 @@ export function registerFeedComponent() {
 export function registerProfileComponent() {
   Alpine.data('app', createFeedComponent(PROFILE_CONFIG));
 }
+
+/** Registers the Alpine `app` component for the POST permalink page. */
+export function registerPostComponent() {
+  Alpine.data('app', createFeedComponent(POST_CONFIG));
+}
@@ -12,6 +12,7 @@
 
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
 import { API } from './api.js';
+import { capturePromoFromUrl, getStoredPromo } from './promo.js';
 
 // ═══════════════════════════════════════════════════════════════
 // ALPINE DATA: loginForm
@@ -29,6 +30,8 @@ export function registerLoginForm() {
 
     // ── Lifecycle ────────────────────────────────────────
     init() {
+      capturePromoFromUrl();
+
       if (this.$refs.submitButton) {
         this.$refs.submitButton.addEventListener('click', (e) => {
           e.preventDefault();
@@ -60,7 +63,10 @@ export function registerLoginForm() {
       try {
         // 3. Send magic link via Xano (unauthenticated endpoint)
         await API.auth
-          .post('auth/send_magic_link', { json: { email: this.email } })
+          .post('auth/send_magic_link', {
+            // promo_code rides along in the emailed link (see promo.js)
+            json: { email: this.email, promo_code: getStoredPromo() || undefined },
+          })
           .json();
 
         this.status = 'success';
@@ -19,6 +19,8 @@
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
 import { API } from './api.js';
 import { AUTH_CONFIG } from './config.js';
+import { creatorRoute } from './creator.js';
+import { capturePromoFromUrl } from './promo.js';
 
 export function registerLoginPasswordForm() {
   Alpine.data('loginForm', () => ({
@@ -33,6 +35,8 @@ export function registerLoginPasswordForm() {
 
     // ── Lifecycle ────────────────────────────────────────
     init() {
+      capturePromoFromUrl();
+
       if (this.$refs.submitButton) {
         this.$refs.submitButton.addEventListener('click', (e) => {
           e.preventDefault();
@@ -104,7 +108,7 @@ export function registerLoginPasswordForm() {
 
         // 7. Redirect to feed
         this.status = 'success';
-        window.location.href = AUTH_CONFIG.routes.feed;
+        window.location.href = creatorRoute(AUTH_CONFIG.routes.feed);
       } catch (error) {
         this.status = 'error';
 
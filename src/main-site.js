@@ -2,7 +2,8 @@
  * main-site.js — Site-Wide Entry Point
  * Place in: Site Settings → Custom Code → Before </body> tag
  * ──────────────────────────────────────────────────────────────
- * Initialises: Auth → Notifications → Avatar Upload → Content Protection
+ * Initialises: Consent Banner → Auth → Notifications → Avatar Upload
+ *              → Content Protection
  *
  * SAFARI FIX: No top-level await. Uses async IIFE instead,
  *             which is supported in Safari 14+ with <script type="module">.
@@ -13,8 +14,16 @@ import { NotificationManager } from './notifications.js';
 import { AvatarUploadManager } from './avatar.js';
 import { initContentProtection } from './protection.js';
 import { AUTH_CONFIG } from './config.js';
+import { capturePromoFromUrl } from './promo.js';
+import { initConsentBanner } from './consent.js';
 
 (async () => {
+  // 0. Campaign promo (?promo=) — before auth can redirect it away
+  capturePromoFromUrl();
+
+  // 0b. Cookie consent banner (gates optional tracking)
+  initConsentBanner();
+
   // 1. Authentication (must complete before anything else)
   const authManager = new AuthManager();
   await authManager.init();
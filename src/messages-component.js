@@ -0,0 +1,453 @@
+/**
+ * messages-component.js — Alpine `messages` Data Component
+ * Direct-message inbox: conversation list, thread view, composer.
+ * ──────────────────────────────────────────────────────────────
+ * THREAD:   Newest messages load first; older pages load as the
+ *           thread is scrolled toward the top (`before_id` cursor),
+ *           keeping the visible message in place.
+ * RECEIPTS: Opening a thread marks it read; `message_read` events
+ *           mark the user's own messages as seen.
+ * LIVE:     New messages arrive over the shared realtime channel.
+ * GATING:   Sending needs `message.send` (subscribers); others get
+ *           the shared subscription popup.
+ * PPV:      Staff can attach an unlock price to a message; the text
+ *           stays hidden (server-side) until the fan unlocks it.
+ *
+ * MOBILE FIX: One pane at a time below the desktop breakpoint —
+ *             `activeConversation` switches list ↔ thread.
+ */
+
+import Alpine from 'https://esm.sh/alpinejs@3.13.3';
+import { API, sendMutation } from './api.js';
+import { AUTH_CONFIG, CHECKOUT_CONFIG, MESSAGES_CONFIG, TRANSPARENT_PIXEL } from './config.js';
+import { creatorRoute } from './creator.js';
+import { hasPermission } from './access.js';
+import { formatAvatar, timeAgoShort, isDesktop, formatPrice, isUnlockRequired } from './utils.js';
+import { onRealtime } from './realtime.js';
+import { createPopupState, triggerError, handleApiError } from './popup.js';
+import { unlockItem, readUnlockReturn, pollUnlocked } from './checkout.js';
+
+const E = MESSAGES_CONFIG.endpoints;
+
+// ─── Private Module State ────────────────────────────────────
+// Stored outside Alpine to avoid Proxy-wrapping the Picmo instance.
+let pickerInstance = null;
+
+// ─── Component Registration ─────────────────────────────────
+export function registerMessagesComponent() {
+  Alpine.data('messages', () => ({
+    // ── Reactive State ───────────────────────────────────
+    user: { id: null, name: '', avatar_url: TRANSPARENT_PIXEL, roles: [] },
+    conversations: [],
+    activeConversation: null,
+    messages: [],
+    hasOlder: true,
+    isLoading: true,
+    isLoadingOlder: false,
+    _threadSeq: 0,             // Bumped whenever the open thread changes or reloads
+    _olderLoadSeq: -1,         // _threadSeq of the page load in flight
+    isSending: false,
+    messageText: '',
+    messagePrice: '',          // Staff only: PPV price in dollars; '' = free
+    showPicker: false,
+    popup: createPopupState(),
+    _unsubscribers: [],
+
+    // ── Lifecycle ────────────────────────────────────────
+    async init() {
+      if (!(await this._loadUser())) {
+        this.logout();
+        return;
+      }
+
+      try {
+        await this.loadConversations();
+
+        // ?conversation_id= deep link, else first thread on desktop
+        const id = parseInt(new URLSearchParams(window.location.search).get('conversation_id'), 10);
+        const initial = this.conversations.find((c) => c.id === id)
+          || (isDesktop() ? this.conversations[0] : null);
+        if (initial) await this.openConversation(initial);
+        await this._handleUnlockReturn();
+      } catch (e) {
+        this._handleApiError(e);
+      } finally {
+        this.isLoading = false;
+      }
+
+      this._bindEvents();
+    },
+
+    destroy() {
+      this._unsubscribers.forEach((off) => off());
+    },
+
+    /**
+     * Waits up to 5s for AuthManager (main-site.js) to publish
+     * window.currentUser, then falls back to the persisted copy.
+     * @returns {Promise<boolean>} False if no user is available.
+     */
+    async _loadUser() {
+      for (let i = 0; i < 50 && !window.currentUser; i++) {
+        await new Promise((r) => setTimeout(r, 100));
+      }
+      const u = window.currentUser
+        || JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.userData) || 'null');
+      if (!u) return false;
+
+      this.user = { ...u, avatar_url: formatAvatar(u.avatar_url), roles: u.roles || [] };
+      return true;
+    },
+
+    // ── Access ───────────────────────────────────────────
+    can(permission) {
+      return hasPermission(this.user.roles, permission);
+    },
+
+    // ── Conversations ────────────────────────────────────
+    async loadConversations() {
+      const res = await API.feed.get(E.conversations).json();
+      this.conversations = (res || []).map((c) => this._mapConversation(c));
+    },
+
+    async openConversation(conversation) {
+      if (this.activeConversation?.id === conversation.id) return;
+
+      this.activeConversation = conversation;
+      this._threadSeq++;
+      this.messages = [];
+      this.hasOlder = true;
+      this.showPicker = false;
+
+      // Only mark read what the user actually got to see
+      if (await this.loadOlder()) this._markRead(conversation);
+    },
+
+    /** Mobile: back from thread to the list. */
+    closeConversation() {
+      this.activeConversation = null;
+      this._threadSeq++;
+      this.messages = [];
+    },
+
+    get unreadTotal() {
+      return this.conversations.reduce((sum, c) => sum + (c.unread_count || 0), 0);
+    },
+
+    // ── Thread (infinite scroll upward) ──────────────────
+    /**
+     * Loads the next older page of the open thread. A page still loading
+     * for a previous thread doesn't block this one — it is discarded.
+     * @returns {Promise<boolean>} True if a page was added to this thread.
+     */
+    async loadOlder() {
+      const conversation = this.activeConversation;
+      const seq = this._threadSeq;
+      if (!conversation || !this.hasOlder) return false;
+      if (this.isLoadingOlder && this._olderLoadSeq === seq) return false;
+
+      this._olderLoadSeq = seq;
+      this.isLoadingOlder = true;
+      const el = document.querySelector(MESSAGES_CONFIG.selectors.thread);
+      const prevHeight = el?.scrollHeight || 0;
+      const prevTop = el?.scrollTop || 0;
+      const oldest = this.messages.find((m) => !m.pending);
+
+      try {
+        const res = await API.feed
+          .get(E.thread, {
+            searchParams: {
+              conversation_id: conversation.id,
+              per_page: MESSAGES_CONFIG.perPage,
+              ...(oldest ? { before_id: oldest.id } : {}),
+            },
+          })
+          .json();
+
+        // User switched (or reloaded) threads meanwhile — that load is its own
+        if (seq !== this._threadSeq) return false;
+
+        // Page arrives oldest → newest
+        const known = new Set(this.messages.map((m) => m.id));
+        const older = (res || []).filter((m) => !known.has(m.id)).map((m) => this._mapMessage(m));
+        this.hasOlder = (res || []).length >= MESSAGES_CONFIG.perPage;
+        this.messages = [...older, ...this.messages];
+
+        await this.$nextTick();
+        if (el) {
+          // First page → bottom; older pages → keep the current message in view
+          el.scrollTop = oldest ? el.scrollHeight - prevHeight + prevTop : el.scrollHeight;
+        }
+        return true;
+      } catch (e) {
+        if (seq === this._threadSeq) this._handleApiError(e);
+        return false;
+      } finally {
+        if (this._olderLoadSeq === seq) this.isLoadingOlder = false;
+      }
+    },
+
+    /** Bound with `@scroll.throttle.150ms="onThreadScroll($event.target)"`. */
+    onThreadScroll(el) {
+      if (el.scrollTop < MESSAGES_CONFIG.scrollThreshold) this.loadOlder();
+    },
+
+    /** Id of the user's latest message the other side has read. */
+    get lastSeenId() {
+      const seen = this.messages.filter((m) => m.isMine && m.read_at);
+      return seen.length ? seen[seen.length - 1].id : null;
+    },
+
+    isSeen(message) {
+      return message.id === this.lastSeenId;
+    },
+
+    // ── Pay-Per-View ─────────────────────────────────────
+    formatPrice,
+
+    isLocked(message) {
+      return !message.isMine && isUnlockRequired(message);
+    },
+
+    unlockMessage(message) {
+      return unlockItem(this, 'message', message.id, { conversation_id: message.conversation_id });
+    },
+
+    /** Back from Stripe with ?unlocked=message:<id> → swap in the full message. */
+    async _handleUnlockReturn() {
+      const unlock = readUnlockReturn();
+      if (unlock?.type !== 'message') return;
+
+      const fresh = await pollUnlocked(() => API.feed
+        .get(E.item, { searchParams: { message_id: unlock.id } })
+        .json());
+      if (!fresh) return;
+
+      const mapped = this._mapMessage(fresh);
+      this.messages = this.messages.map((m) => (m.id === mapped.id ? mapped : m));
+    },
+
+    // ── Composer ─────────────────────────────────────────
+    get charsLeft() {
+      return MESSAGES_CONFIG.maxLength - this.messageText.length;
+    },
+
+    async sendMessage() {
+      const conversation = this.activeConversation;
+      const text = this.messageText.trim();
+      if (!conversation || !text || this.isSending || text.length > MESSAGES_CONFIG.maxLength) return;
+
+      if (!this.can('message.send')) {
+        this.triggerError('subscription');
+        return;
+      }
+
+      // Only staff can charge for a message
+      const { minPrice, maxPrice } = CHECKOUT_CONFIG;
+      const price = this.can('content.manage') && String(this.messagePrice).trim() !== ''
+        ? Number(this.messagePrice)
+        : 0;
+      if (price !== 0 && !(price >= minPrice && price <= maxPrice)) {
+        alert(`Unlock price must be between ${formatPrice(minPrice * 100)} and ${formatPrice(maxPrice * 100)}.`);
+        return;
+      }
+
+      const temp = this._mapMessage({
+        id:              `temp-${Date.now()}`,
+        conversation_id: conversation.id,
+        sender_id:       this.user.id,
+        text,
+        created_at:      new Date().toISOString(),
+        read_at:         null,
+        price:           Math.round(price * 100),
+      });
+      temp.pending = true;
+
+      this.messages.push(temp);
+      this.messageText = '';
+      this.messagePrice = '';
+      this.showPicker = false;
+      this._scrollToBottom();
+      this.isSending = true;
+
+      try {
+        const body = { conversation_id: conversation.id, text, price: Math.round(price * 100) };
+        const res = await sendMutation('feed', E.send, body, {
+          meta: { conversationId: conversation.id },
+        });
+        if (res.queued) return; // Stays pending until the outbox flushes
+
+        const saved = this._mapMessage(await res.json());
+        // The realtime echo may have delivered it already
+        this.messages = this.messages.some((m) => m.id === saved.id)
+          ? this.messages.filter((m) => m.id !== temp.id)
+          : this.messages.map((m) => (m.id === temp.id ? saved : m));
+        this._updateConversation(saved);
+      } catch (e) {
+        this.messages = this.messages.filter((m) => m.id !== temp.id);
+        this.messageText = text;
+        this.messagePrice = price ? String(price) : '';
+        this._handleApiError(e);
+      } finally {
+        this.isSending = false;
+      }
+    },
+
+    // ── Emoji Picker (Lazy-Loaded) ───────────────────────
+    insertEmojiAtCursor(emoji) {
+      const el = document.querySelector(MESSAGES_CONFIG.selectors.input);
+      if (!el) {
+        this.messageText += emoji;
+        return;
+      }
+
+      const start = el.selectionStart;
+      const end = el.selectionEnd;
+      this.messageText = this.messageText.substring(0, start) + emoji + this.messageText.substring(end);
+
+      this.$nextTick(() => {
+        const pos = start + emoji.length;
+        el.focus();
+        el.setSelectionRange(pos, pos);
+      });
+    },
+
+    async toggleEmojiPicker() {
+      this.showPicker = !this.showPicker;
+      if (!this.showPicker || pickerInstance) return;
+
+      await this.$nextTick();
+      const { createPicker } = await import('https://esm.sh/picmo@5.8.5');
+      const container = document.querySelector(MESSAGES_CONFIG.selectors.picker);
+      if (container) {
+        pickerInstance = createPicker({
+          rootElement: container,
+          theme: 'dark',
+          className: 'custom-picmo',
+        });
+        pickerInstance.addEventListener('emoji:select', (sel) => {
+          this.insertEmojiAtCursor(sel.emoji);
+          this.showPicker = false;
+        });
+      }
+    },
+
+    // ── Live Updates ─────────────────────────────────────
+    _receiveMessage(raw) {
+      const message = this._mapMessage(raw);
+      const conversation = this.conversations.find((c) => c.id === message.conversation_id);
+
+      // First message of a new conversation
+      if (!conversation) {
+        this.loadConversations().catch(() => {});
+        return;
+      }
+
+      const isActive = this.activeConversation?.id === conversation.id;
+      this._updateConversation(message, !isActive && !message.isMine);
+
+      if (!isActive || this.messages.some((m) => m.id === message.id)) return;
+      this.messages.push(message);
+      if (!message.isMine) this._markRead(conversation);
+      this._scrollToBottom(true);
+    },
+
+    _receiveRead({ conversation_id: conversationId, read_at: readAt }) {
+      if (this.activeConversation?.id !== conversationId) return;
+      this.messages.forEach((m) => {
+        if (m.isMine && !m.pending && !m.read_at) m.read_at = readAt;
+      });
+    },
+
+    _bindEvents() {
+      this._unsubscribers.push(
+        onRealtime('message', (m) => this._receiveMessage(m)),
+        onRealtime('message_read', (r) => this._receiveRead(r)),
+        onRealtime('resync', () => this._reloadThread()),
+      );
+
+      // Queued (offline) messages were sent — swap the pending copies
+      window.addEventListener('outbox:flushed', (e) => {
+        const id = this.activeConversation?.id;
+        if (e.detail.sent.some((m) => m.meta?.conversationId === id)) this._reloadThread();
+      });
+
+      document.querySelector('[data-element="log-out"]')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.logout();
+      });
+    },
+
+    async _reloadThread() {
+      this.loadConversations().catch(() => {});
+      const conversation = this.activeConversation;
+      if (!conversation) return;
+
+      this.activeConversation = null;
+      await this.openConversation(conversation);
+    },
+
+    // ── Helpers ───────────────────────────────────────────
+    _mapConversation(c) {
+      return {
+        ...c,
+        other_user: { ...c.other_user, avatar_url: formatAvatar(c.other_user?.avatar_url) },
+        timeAgo: c.last_message ? timeAgoShort(c.last_message.created_at) : '',
+      };
+    },
+
+    _mapMessage(m) {
+      return {
+        ...m,
+        isMine: m.sender_id === this.user.id,
+        pending: false,
+        timeAgo: timeAgoShort(m.created_at),
+      };
+    },
+
+    /** Moves the conversation to the top with its new last message. */
+    _updateConversation(message, countUnread = false) {
+      const conversation = this.conversations.find((c) => c.id === message.conversation_id);
+      if (!conversation) return;
+
+      conversation.last_message = message;
+      conversation.timeAgo = message.timeAgo;
+      if (countUnread) conversation.unread_count = (conversation.unread_count || 0) + 1;
+      this.conversations = [conversation, ...this.conversations.filter((c) => c.id !== conversation.id)];
+    },
+
+    _markRead(conversation) {
+      conversation.unread_count = 0;
+      API.feed.post(E.markRead, { json: { conversation_id: conversation.id } }).catch((e) => {
+        console.error('[Messages] Mark-read failed:', e);
+      });
+    },
+
+    /** `onlyIfNear`: don't yank a user who scrolled up to read history. */
+    _scrollToBottom(onlyIfNear = false) {
+      const el = document.querySelector(MESSAGES_CONFIG.selectors.thread);
+      if (!el) return;
+      if (onlyIfNear && el.scrollHeight - el.scrollTop - el.clientHeight > 200) return;
+      this.$nextTick(() => (el.scrollTop = el.scrollHeight));
+    },
+
+    // ── Error Handling ───────────────────────────────────
+    triggerError(type) {
+      triggerError(this, type);
+    },
+
+    _handleApiError(e) {
+      console.error('[Messages] Request failed:', e);
+      handleApiError(this, e);
+    },
+
+    logout() {
+      if (window.authManager) {
+        window.authManager.logout();
+      } else {
+        localStorage.removeItem(AUTH_CONFIG.storage.authToken);
+        window.location.href = creatorRoute(AUTH_CONFIG.routes.login);
+      }
+    },
+  }));
+}
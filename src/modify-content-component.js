@@ -14,10 +14,40 @@
  *             ensure the blur filter has been rasterised — kept the
  *             200ms setTimeout from the original.
  *
+ *             Video poster frames are grabbed from an off-DOM <video>
+ *             after `seeked`. Safari skips `seeked` when seeking to the
+ *             current time, so the target is never exactly 0.
+ *
  *             Picmo instance stored in module-level variable (outside
  *             Alpine) to avoid the Proxy-wrapping crash — same fix
  *             as the feed page emoji picker.
  *
+ * GALLERY:    A post holds one or more media items (`mediaItems`),
+ *             reorderable by drag. Each new file gets its own blurred
+ *             teaser. Single-file posts send `content_upload_id` /
+ *             `teaser_file`; galleries send the plural lists.
+ *
+ * VIDEO:      Video files preview in a <video>. The creator scrubs to
+ *             pick a poster frame (`posterTime`); the blurred teaser is
+ *             drawn from that frame.
+ *
+ * UPLOADS:    Media files go through resumable chunked uploads
+ *             (upload.js) before the post is saved; the post request
+ *             carries the finished upload ids + teasers. Byte progress
+ *             lands in the store; `cancelUpload()` aborts.
+ *
+ * PUBLISHING: Posts are saved as a draft, published now, or scheduled
+ *             via `publish_at`. The dash store splits them into the
+ *             `grid` / `scheduled` / `drafts` views.
+ *
+ * TIERS:      Each post has a minimum subscription tier (`tierId`,
+ *             null = Free), picked from the creator's tiers. `paid` is
+ *             still sent so older readers keep working.
+ *
+ * PAY-PER-VIEW: An optional `price` (entered in dollars, sent in cents)
+ *             locks the post behind a one-off unlock, on top of the
+ *             post's tier.
+ *
  * MOBILE FIX: Rich editor caret position saved on focusout so that
  *             tapping the emoji button (which blurs the editor)
  *             inserts at the correct position.
@@ -25,10 +55,15 @@
 
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
 import { API } from './api.js';
-import { ADMIN_CONFIG, AUTH_CONFIG } from './config.js';
+import { ADMIN_CONFIG, AUTH_CONFIG, CREATOR_CONFIG, CHECKOUT_CONFIG } from './config.js';
+import { getCreatorContext } from './creator.js';
+import { getTiers, getRequiredTier } from './tiers.js';
+import { dayjs, getPublishState, getPostMedia, formatPrice } from './utils.js';
+import { ChunkedUpload } from './upload.js';
 
 // ─── Module-Level State (avoids Alpine Proxy issues) ─────────
 let emojiPickerInstance = null;
+let activeUpload = null;   // ChunkedUpload in flight (has an AbortController)
 
 // ─── Selectors Shorthand ─────────────────────────────────────
 const S = ADMIN_CONFIG.selectors;
@@ -45,13 +80,22 @@ function authHeader() {
 function registerDashStore() {
   Alpine.store('dash', {
     // ── State ────────────────────────────────────────────
-    view: 'create',       // 'create' | 'edit' | 'grid'
+    view: 'create',       // 'create' | 'edit' | 'grid' | 'scheduled' | 'drafts'
     posts: [],
     editingPost: null,
     isUploading: false,
-    selectedFile: null,
-    currentCategory: 'Paid',
+    uploadProgress: 0,     // 0–100 while isUploading
+    uploadedBytes: 0,
+    totalBytes: 0,
+    mediaItems: [],        // [{ key, file, mediaId, previewUrl, type }] in display order
+    dragIndex: null,       // Item being dragged in the media tray
+    previewIndex: 0,       // Item shown in the large preview
+    previewDuration: 0,    // Seconds — set when a preview video loads
+    tiers: getTiers(null),  // Creator's tiers (lowest first), set in init
+    tierId: 0,             // Minimum tier for the post; null = Free
     categoryModalOpen: false,
+    publishAt: '',         // <input type="datetime-local"> value; '' = publish now
+    price: '',             // Pay-per-view price in dollars; '' = not pay-per-view
     lastRange: null,       // Saved caret position for emoji insertion
 
     // ── Lifecycle ────────────────────────────────────────
@@ -59,13 +103,11 @@ function registerDashStore() {
       const token = localStorage.getItem(AUTH_CONFIG.storage.authToken);
       if (!token) return;
 
-      try {
-        this.posts = await API.feed
-          .get('get_content_feed_premium')
-          .json();
-      } catch (e) {
-        console.error('[Admin] Feed load failed:', e);
-      }
+      const cachedCreator = JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.creatorData) || 'null');
+      this.tiers = getTiers(window.creatorProfile || cachedCreator);
+      this.tierId = this.tiers[0].id;
+
+      await this.loadPosts();
 
       // Deep-link: ?post_id=123 → open that post for editing
       const postId = new URLSearchParams(window.location.search).get('post_id');
@@ -75,43 +117,181 @@ function registerDashStore() {
       }
     },
 
+    /** Loads every post for the creator, including drafts + scheduled. */
+    async loadPosts() {
+      try {
+        this.posts = await API.admin.get('get_admin_content').json();
+      } catch (e) {
+        console.error('[Admin] Feed load failed:', e);
+      }
+    },
+
+    // ── Tier Selection ───────────────────────────────────
+    /** Label for the category button: tier name or "Free". */
+    get currentCategory() {
+      return this.tiers.find((t) => t.id === this.tierId)?.name || 'Free';
+    },
+
+    /** @param {number|null} tierId - null makes the post free. */
+    selectTier(tierId) {
+      this.tierId = tierId;
+      this.categoryModalOpen = false;
+    },
+
+    // ── Post Lists per View ──────────────────────────────
+    get publishedPosts() {
+      return this.posts.filter((p) => getPublishState(p) === 'published');
+    },
+
+    /** Soonest first. */
+    get scheduledPosts() {
+      return this.posts
+        .filter((p) => getPublishState(p) === 'scheduled')
+        .sort((a, b) => dayjs(a.publish_at).valueOf() - dayjs(b.publish_at).valueOf());
+    },
+
+    get draftPosts() {
+      return this.posts.filter((p) => getPublishState(p) === 'draft');
+    },
+
+    /** `min` for the date/time picker — no scheduling in the past. */
+    get minPublishAt() {
+      return dayjs().format('YYYY-MM-DDTHH:mm');
+    },
+
+    /** e.g. "Mar 4, 2025 9:30 AM" for scheduled cards. */
+    formatPublishAt(post) {
+      return post.publish_at ? dayjs(post.publish_at).format('MMM D, YYYY h:mm A') : '';
+    },
+
     // ── View Navigation ──────────────────────────────────
     setView(view) {
       this.view = view;
 
       if (view === 'create') {
-        this.editingPost = null;
-        this.selectedFile = null;
-        this.currentCategory = 'Paid';
-        _resetEditorUI();
+        this.resetForm();
         _pushCleanUrl();
       }
 
-      if (view === 'grid') {
+      if (['grid', 'scheduled', 'drafts'].includes(view)) {
         this.editingPost = null;
         _pushCleanUrl();
       }
     },
 
+    /** Clears the editor, media and publish options. */
+    resetForm() {
+      this.editingPost = null;
+      this.mediaItems.forEach((m) => m.file && URL.revokeObjectURL(m.previewUrl));
+      this.mediaItems = [];
+      this.previewIndex = 0;
+      this.uploadProgress = 0;
+      this.uploadedBytes = 0;
+      this.totalBytes = 0;
+      this.tierId = this.tiers[0].id;
+      this.publishAt = '';
+      this.price = '';
+      _resetEditorUI();
+    },
+
+    // ── Media Tray (Gallery) ─────────────────────────────
+    /** Appends newly selected files after the existing items. */
+    addFiles(files) {
+      const added = Array.from(files).map((file) => ({
+        key:        `file-${Date.now()}-${file.name}`,
+        file,
+        mediaId:    null,
+        previewUrl: URL.createObjectURL(file),
+        type:       file.type.startsWith('video/') ? 'video' : 'image',
+        posterTime: 0,       // Seconds — poster/teaser frame for videos
+      }));
+      this.mediaItems = [...this.mediaItems, ...added];
+      _syncPreview(this.previewItem);
+    },
+
+    removeMedia(index) {
+      const [item] = this.mediaItems.splice(index, 1);
+      if (item?.file) URL.revokeObjectURL(item.previewUrl);
+      this.previewIndex = Math.min(this.previewIndex, Math.max(this.mediaItems.length - 1, 0));
+      _syncPreview(this.previewItem);
+    },
+
+    moveMedia(from, to) {
+      if (from === to || to < 0 || to >= this.mediaItems.length) return;
+      const [item] = this.mediaItems.splice(from, 1);
+      this.mediaItems.splice(to, 0, item);
+      _syncPreview(this.previewItem);
+    },
+
+    // ── Preview + Poster Frame ───────────────────────────
+    get previewItem() {
+      return this.mediaItems[this.previewIndex] || null;
+    },
+
+    /** Shows a tray item in the large preview. */
+    previewMedia(index) {
+      this.previewIndex = index;
+      _syncPreview(this.previewItem);
+    },
+
+    /**
+     * Sets the poster frame of the previewed video and seeks the
+     * preview to it. Webflow: <input type="range" step="0.1"
+     *   :max="$store.dash.previewDuration"
+     *   :value="$store.dash.previewItem?.posterTime"
+     *   @input="$store.dash.scrubPoster($event.target.value)">
+     */
+    scrubPoster(seconds) {
+      const item = this.previewItem;
+      if (!item || item.type !== 'video' || !item.file) return;
+
+      item.posterTime = Number(seconds) || 0;
+      const video = document.querySelector(S.previewVideo);
+      if (video) video.currentTime = item.posterTime;
+    },
+
+    // Webflow (per tray item): draggable="true"
+    //   @dragstart="$store.dash.startDrag(index)"
+    //   @dragover.prevent @drop.prevent="$store.dash.dropOn(index)"
+    startDrag(index) {
+      this.dragIndex = index;
+    },
+
+    dropOn(index) {
+      if (this.dragIndex !== null) this.moveMedia(this.dragIndex, index);
+      this.dragIndex = null;
+    },
+
+    /** Aborts the media upload in flight. Uploaded chunks are discarded. */
+    cancelUpload() {
+      activeUpload?.cancel();
+    },
+
     // ── Select Post for Editing ──────────────────────────
     selectPost(post) {
       this.editingPost = post;
       this.view = 'edit';
-      this.currentCategory = post.paid ? 'Paid' : 'Free';
+      this.mediaItems = getPostMedia(post).map((m, i) => ({
+        key:        `media-${m.id ?? i}`,
+        file:       null,
+        mediaId:    m.id,
+        previewUrl: m.display_url,
+        type:       m.content_type,
+        posterTime: 0,
+      }));
+      this.previewIndex = 0;
+      this.tierId = getRequiredTier(post, this.tiers)?.id ?? null;
+      this.price = post.price > 0 ? (post.price / 100).toFixed(2) : '';
+      this.publishAt = getPublishState(post) === 'scheduled'
+        ? dayjs(post.publish_at).format('YYYY-MM-DDTHH:mm')
+        : '';
 
       // Populate editor after Alpine re-renders the DOM
       setTimeout(() => {
         const editor = document.querySelector(S.editor);
         if (editor) editor.innerHTML = post.description || '';
 
-        const img = document.querySelector(S.previewImg);
-        if (img) {
-          img.src = post.display_url;
-          img.style.display = 'block';
-        }
-
-        const placeholder = document.querySelector(S.placeholder);
-        if (placeholder) placeholder.style.display = 'none';
+        _syncPreview(this.previewItem);
       }, 150);
 
       window.history.pushState({}, '', `?post_id=${post.id}`);
@@ -140,19 +320,37 @@ function registerUploadLogic() {
     /**
      * Creates or edits a post. Builds FormData and sends
      * via raw fetch (FormData + auth header).
+     *
+     * @param {'publish'|'draft'} mode - 'publish' goes live now, or at
+     *   `store.publishAt` if set; 'draft' saves without publishing.
      */
-    async handleAction() {
+    async handleAction(mode = 'publish') {
       const store = Alpine.store('dash');
       if (store.isUploading) return;
 
       const isNew = store.view === 'create';
 
       // Validation
-      if (isNew && !store.selectedFile) {
+      if (isNew && store.mediaItems.length === 0) {
         alert('Please select media!');
         return;
       }
 
+      const publishAt = mode === 'publish' && store.publishAt ? dayjs(store.publishAt) : null;
+      if (publishAt && !publishAt.isAfter(dayjs())) {
+        alert('Please pick a publish time in the future.');
+        return;
+      }
+
+      const { minPrice, maxPrice } = CHECKOUT_CONFIG;
+      const price = String(store.price).trim() === '' ? 0 : Number(store.price);
+      if (price !== 0 && !(price >= minPrice && price <= maxPrice)) {
+        alert(`Unlock price must be between ${formatPrice(minPrice * 100)} and ${formatPrice(maxPrice * 100)}.`);
+        return;
+      }
+
+      const status = mode === 'draft' ? 'draft' : publishAt ? 'scheduled' : 'published';
+
       store.isUploading = true;
 
       const editor = document.querySelector(S.editor);
@@ -166,24 +364,33 @@ function registerUploadLogic() {
         'title',
         (editor?.textContent || 'Post').substring(0, ADMIN_CONFIG.maxTitleLength),
       );
-      fd.append('paid', store.currentCategory === 'Paid');
+      // tier_id '' with paid=true → any subscription (no tiers defined)
+      fd.append('paid', store.tierId !== null);
+      fd.append('tier_id', store.tierId || '');
+      fd.append('price', Math.round(price * 100));   // cents; 0 = no unlock
+      fd.append('status', status);
+      fd.append('publish_at', publishAt ? publishAt.toISOString() : '');
+
+      // Raw fetch bypasses the API hooks — scope to the creator here
+      const creatorId = getCreatorContext().id || window.creatorProfile?.id;
+      if (creatorId) fd.append(CREATOR_CONFIG.params.id, creatorId);
 
       if (!isNew) {
         fd.append('content_id', store.editingPost.id);
       }
 
-      // Attach media + generated teaser if a file was selected
-      if (store.selectedFile) {
-        try {
-          const teaser = await this._generateTeaser(store.selectedFile);
-          fd.append('content_file', store.selectedFile);
-          fd.append('teaser_file', teaser);
-        } catch (err) {
-          console.error('[Admin] Teaser generation failed:', err);
-          store.isUploading = false;
-          alert('Failed to process image. Please try a different file.');
-          return;
+      // Generate one teaser per new file (before the long upload,
+      // so a bad file fails fast)
+      const teasers = new Map();
+      try {
+        for (const item of store.mediaItems.filter((m) => m.file)) {
+          teasers.set(item, await this._generateTeaser(item.file, item.posterTime));
         }
+      } catch (err) {
+        console.error('[Admin] Teaser generation failed:', err);
+        store.isUploading = false;
+        alert('Failed to process media. Please try a different file.');
+        return;
       }
 
       // Upload
@@ -192,6 +399,9 @@ function registerUploadLogic() {
         : ADMIN_CONFIG.endpoints.edit;
 
       try {
+        const uploadIds = await this._uploadFiles(store);
+        this._appendMedia(fd, store.mediaItems, uploadIds, teasers);
+
         const res = await fetch(endpoint, {
           method: 'POST',
           headers: authHeader(),
@@ -203,60 +413,150 @@ function registerUploadLogic() {
           throw new Error(`Upload failed (${res.status}): ${errorText}`);
         }
 
-        alert('Success!');
-        location.reload();
+        alert(
+          status === 'draft'     ? 'Draft saved!' :
+          status === 'scheduled' ? `Scheduled for ${publishAt.format('MMM D, YYYY h:mm A')}` :
+          'Published!',
+        );
+
+        // Stay on the page so creators can keep uploading in batches
+        await store.loadPosts();
+        store.resetForm();
+        store.setView(status === 'draft' ? 'drafts' : status === 'scheduled' ? 'scheduled' : 'grid');
       } catch (err) {
-        console.error('[Admin] Upload failed:', err);
-        alert('Upload failed. Please try again.');
+        if (err.name === 'AbortError') {
+          store.uploadProgress = 0;
+        } else {
+          console.error('[Admin] Upload failed:', err);
+          alert('Upload failed. Selecting the same file again resumes where it stopped.');
+        }
+      } finally {
+        activeUpload = null;
         store.isUploading = false;
       }
     },
 
     /**
-     * Generates a blurred JPEG teaser from an image file.
+     * Chunk-uploads every new file in order, reporting combined
+     * byte progress to the store.
+     *
+     * @returns {Promise<Map<object, string>>} mediaItem → upload_id
+     */
+    async _uploadFiles(store) {
+      const uploads = store.mediaItems.filter((m) => m.file);
+      const ids = new Map();
+
+      store.totalBytes = uploads.reduce((sum, m) => sum + m.file.size, 0);
+      store.uploadedBytes = 0;
+      store.uploadProgress = 0;
+
+      let done = 0;
+      for (const item of uploads) {
+        activeUpload = new ChunkedUpload(item.file, {
+          onProgress: ({ loaded }) => {
+            store.uploadedBytes = done + loaded;
+            store.uploadProgress = store.totalBytes
+              ? Math.round((store.uploadedBytes / store.totalBytes) * 100)
+              : 100;
+          },
+        });
+        ids.set(item, await activeUpload.start());
+        done += item.file.size;
+      }
+
+      return ids;
+    },
+
+    /**
+     * Appends media references to the FormData.
+     *   - One new file  → `content_upload_id` + `teaser_file`
+     *   - Gallery       → `content_upload_ids[]` + `teaser_files[]` for new files,
+     *                     plus `media_order`: existing `{ media_id }` and new
+     *                     `{ upload }` (index into content_upload_ids) in display order.
+     *                     A legacy single-file post's media has no id and is sent
+     *                     as `{ existing: 'primary' }` (the post's own file).
+     *
+     * @param {FormData} fd
+     * @param {Array}    items     - store.mediaItems
+     * @param {Map}      uploadIds - mediaItem → completed upload_id
+     * @param {Map}      teasers   - mediaItem → teaser File
+     */
+    _appendMedia(fd, items, uploadIds, teasers) {
+      const uploads = items.filter((m) => m.file);
+
+      if (items.length === 1 && uploads.length === 1) {
+        const [item] = uploads;
+        fd.append('content_upload_id', uploadIds.get(item));
+        fd.append('teaser_file', teasers.get(item));
+        if (item.type === 'video') fd.append('poster_time', item.posterTime);
+        return;
+      }
+
+      for (const item of uploads) {
+        fd.append('content_upload_ids', uploadIds.get(item));
+        fd.append('teaser_files', teasers.get(item));
+      }
+      if (uploads.some((m) => m.type === 'video')) {
+        fd.append('poster_times', JSON.stringify(
+          uploads.map((m) => (m.type === 'video' ? m.posterTime : null)),
+        ));
+      }
+
+      // Legacy single-file posts have no media ids — nothing to order
+      if (items.length > 1 || items.some((m) => m.mediaId)) {
+        fd.append('media_order', JSON.stringify(items.map((m) => {
+          if (m.file) return { upload: uploads.indexOf(m) };
+          return m.mediaId != null ? { media_id: m.mediaId } : { existing: 'primary' };
+        })));
+      }
+    },
+
+    /**
+     * Generates a blurred JPEG teaser from an image file, or from the
+     * chosen poster frame of a video file.
      * Used as the locked-content preview for non-subscribers.
      *
      * SAFARI FIX: 200ms delay before toBlob to ensure the
      * canvas blur filter has fully rasterised.
      *
-     * @param {File} file - The original media file.
+     * @param {File}   file         - The original media file.
+     * @param {number} [posterTime] - Video only: frame time in seconds.
      * @returns {Promise<File>} - A blurred JPEG File.
      */
-    _generateTeaser(file) {
+    async _generateTeaser(file, posterTime = 0) {
+      const { source, width, height, url } = file.type.startsWith('video/')
+        ? await _loadVideoFrame(file, posterTime)
+        : await _loadImage(file);
+
       return new Promise((resolve, reject) => {
         const canvas = document.querySelector(S.canvas);
         if (!canvas) {
+          URL.revokeObjectURL(url);
           reject(new Error('Teaser canvas not found'));
           return;
         }
 
         const ctx = canvas.getContext('2d');
-        const img = new Image();
-
-        img.onload = () => {
-          canvas.width = img.width;
-          canvas.height = img.height;
-          ctx.filter = `blur(${ADMIN_CONFIG.teaserBlur}px)`;
-          ctx.drawImage(img, 0, 0, img.width, img.height);
-
-          // Safari needs a tick for the blur to rasterise
-          setTimeout(() => {
-            canvas.toBlob(
-              (blob) => {
-                if (blob) {
-                  resolve(new File([blob], 'teaser.jpg', { type: 'image/jpeg' }));
-                } else {
-                  reject(new Error('Canvas toBlob returned null'));
-                }
-              },
-              'image/jpeg',
-              ADMIN_CONFIG.teaserQuality,
-            );
-          }, 200);
-        };
-
-        img.onerror = () => reject(new Error('Image failed to load'));
-        img.src = URL.createObjectURL(file);
+        canvas.width = width;
+        canvas.height = height;
+        ctx.filter = `blur(${ADMIN_CONFIG.teaserBlur}px)`;
+        ctx.drawImage(source, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+
+        // Safari needs a tick for the blur to rasterise
+        setTimeout(() => {
+          canvas.toBlob(
+            (blob) => {
+              if (blob) {
+                resolve(new File([blob], 'teaser.jpg', { type: 'image/jpeg' }));
+              } else {
+                reject(new Error('Canvas toBlob returned null'));
+              }
+            },
+            'image/jpeg',
+            ADMIN_CONFIG.teaserQuality,
+          );
+        }, 200);
       });
     },
   }));
@@ -327,21 +627,12 @@ async function initEditorDOM() {
   // ── Media File Input ─────────────────────────────────
   const mediaInput = document.querySelector(S.mediaInput);
   if (mediaInput) {
+    mediaInput.multiple = true;
+    mediaInput.accept = 'image/*,video/*';
     mediaInput.addEventListener('change', (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-
-      Alpine.store('dash').selectedFile = file;
-
-      const url = URL.createObjectURL(file);
-      const img = document.querySelector(S.previewImg);
-      if (img) {
-        img.src = url;
-        img.style.display = 'block';
-      }
-
-      const placeholder = document.querySelector(S.placeholder);
-      if (placeholder) placeholder.style.display = 'none';
+      if (e.target.files.length === 0) return;
+      Alpine.store('dash').addFiles(e.target.files);
+      e.target.value = ''; // Allow re-selecting the same file
     });
   }
 }
@@ -351,14 +642,71 @@ function _resetEditorUI() {
   const editor = document.querySelector(S.editor);
   if (editor) editor.innerHTML = '';
 
+  _syncPreview(null);
+}
+
+// ─── Helper: Large Preview (<img> or <video>) ────────────────
+function _syncPreview(item) {
   const img = document.querySelector(S.previewImg);
+  const video = document.querySelector(S.previewVideo);
+  const placeholder = document.querySelector(S.placeholder);
+  const isVideo = item?.type === 'video';
+
   if (img) {
-    img.src = '';
-    img.style.display = 'none';
+    img.src = item && !isVideo ? item.previewUrl : '';
+    img.style.display = item && !isVideo ? 'block' : 'none';
   }
 
-  const placeholder = document.querySelector(S.placeholder);
-  if (placeholder) placeholder.style.display = 'block';
+  if (video) {
+    if (isVideo) {
+      video.onloadedmetadata = () => {
+        Alpine.store('dash').previewDuration = video.duration || 0;
+        video.currentTime = item.posterTime;
+      };
+      video.src = item.previewUrl;
+      video.style.display = 'block';
+    } else {
+      video.removeAttribute('src');
+      video.load();
+      video.style.display = 'none';
+    }
+  }
+
+  if (placeholder) placeholder.style.display = item ? 'none' : 'block';
+}
+
+// ─── Helpers: Teaser Sources ─────────────────────────────────
+function _loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => resolve({ source: img, width: img.width, height: img.height, url });
+    img.onerror = () => reject(new Error('Image failed to load'));
+    img.src = url;
+  });
+}
+
+function _loadVideoFrame(file, time) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    video.onloadedmetadata = () => {
+      // Never exactly 0 — Safari won't fire `seeked` for a no-op seek
+      video.currentTime = Math.min(Math.max(time, 0.05), video.duration || 0.05);
+    };
+    video.onseeked = () => resolve({
+      source: video,
+      width:  video.videoWidth,
+      height: video.videoHeight,
+      url,
+    });
+    video.onerror = () => reject(new Error('Video failed to load'));
+    video.src = url;
+  });
 }
 
 function _pushCleanUrl() {
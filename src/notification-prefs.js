@@ -0,0 +1,50 @@
+/**
+ * notification-prefs.js — Notification Preferences
+ * Shape, defaults and lookups for the user's `notification_prefs`.
+ * ──────────────────────────────────────────────────────────────
+ * Stored on the user record (saved via `user/edit_profile`):
+ *   {
+ *     types:       { post_like: { in_app, email, push }, ... },
+ *     quiet_hours: { enabled, start: 'HH:mm', end: 'HH:mm', timezone },
+ *   }
+ *
+ * The server filters email/push and applies quiet hours. The drawer
+ * also hides muted in-app types locally, so nothing shows up between
+ * saving a preference and the server honouring it.
+ */
+
+import { AUTH_CONFIG, NOTIFICATION_CONFIG } from './config.js';
+
+const { channels, types, quietHours } = NOTIFICATION_CONFIG.preferences;
+
+/**
+ * Fills in every known type/channel (default: on) and quiet hours,
+ * so partial or missing prefs from the server are always complete.
+ *
+ * @param {object|null} raw
+ * @returns {object}
+ */
+export function normalizePrefs(raw) {
+  const result = { types: {}, quiet_hours: { ...quietHours, ...raw?.quiet_hours } };
+
+  Object.keys(types).forEach((type) => {
+    result.types[type] = {};
+    channels.forEach((channel) => {
+      result.types[type][channel] = raw?.types?.[type]?.[channel] !== false;
+    });
+  });
+
+  return result;
+}
+
+/** Current user's prefs — from AuthManager, or the persisted copy. */
+export function getNotificationPrefs() {
+  const user = window.currentUser
+    || JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.userData) || 'null');
+  return normalizePrefs(user?.notification_prefs);
+}
+
+/** False only if the user switched this type off for the channel. */
+export function isTypeEnabled(prefs, type, channel = 'in_app') {
+  return prefs.types[type]?.[channel] !== false;
+}
@@ -5,21 +5,31 @@
  * SAFARI FIX: Uses `matchMedia` instead of `window.innerWidth` for
  *             thumbnail visibility (handles orientation changes).
  * MOBILE FIX: Staggered card animations use requestAnimationFrame.
+ * REALTIME:   New notifications arrive over the shared live channel
+ *             (realtime.js) and are prepended without a refetch.
+ * PREFS:      Types the user muted for in-app delivery are dropped
+ *             here too, ahead of the server-side filter.
+ * GROUPING:   Types in NOTIFICATION_CONFIG.grouping collapse into one
+ *             card per target ("Alice and 14 others liked your post").
+ *             Older pages load on scroll inside the drawer.
  */
 
 import { authenticatedKy } from './api.js';
+import { onRealtime } from './realtime.js';
 import { NOTIFICATION_CONFIG, PLACEHOLDER } from './config.js';
-import { dayjs, isDesktop } from './utils.js';
+import { dayjs, escapeHtml, formatPrice, isDesktop, isPublished, postPermalinkPath, throttle } from './utils.js';
+import { creatorRoute } from './creator.js';
+import { getNotificationPrefs, isTypeEnabled } from './notification-prefs.js';
 
 // ─── Notification Type Handlers ──────────────────────────────
 const HANDLERS = {
-  creator_new_tip:      () => ({ hasContent: false }),
+  creator_new_tip:      () => ({ hasContent: true }),   // Opens the post when tipped from one
   creator_new_follower: () => ({ hasContent: false }),
   post_like:            () => ({ hasContent: true }),
   comment_like:         () => ({ hasContent: true }),
   creator_comment_reply:() => ({ hasContent: true }),
   creator_new_comment:  () => ({ hasContent: true }),
-  new_message:          () => ({ hasContent: false, redirectTo: NOTIFICATION_CONFIG.routes.messages }),
+  new_message:          () => ({ hasContent: false, redirectTo: creatorRoute(NOTIFICATION_CONFIG.routes.messages) }),
   comment_reply:        () => ({ hasContent: true }),
   new_post:             () => ({ hasContent: true }),
 };
@@ -28,6 +38,10 @@ const HANDLERS = {
 export class NotificationManager {
   constructor() {
     this.notifications = [];
+    this.unreadCount = 0;
+    this.page = 1;
+    this.hasMore = true;
+    this.isLoadingMore = false;
     this.isDrawerOpen = false;
     this.elements = {};
     this.templateCard = null;
@@ -42,6 +56,9 @@ export class NotificationManager {
     this._bindEvents();
     await this.fetchNotifications();
     this._updateBadge();
+
+    onRealtime('notification', (n) => this._receive(n));
+    onRealtime('resync', () => this.refresh());
   }
 
   // ── DOM Setup ────────────────────────────────────────────
@@ -52,6 +69,7 @@ export class NotificationManager {
       drawer:       document.querySelector(S.drawer),
       closeButton:  document.querySelector(S.closeButton),
       unreadBadges: document.querySelectorAll(S.unreadBadge),
+      markAllRead:  document.querySelectorAll(S.markAllRead),
     };
   }
 
@@ -81,6 +99,22 @@ export class NotificationManager {
       this._closeDrawer();
     });
 
+    this.elements.markAllRead.forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.markAllRead();
+      });
+    });
+
+    // Infinite scroll inside the drawer
+    this.elements.drawer.addEventListener('scroll', throttle(() => {
+      const { scrollTop, scrollHeight, clientHeight } = this.elements.drawer;
+      if (scrollHeight - scrollTop - clientHeight < NOTIFICATION_CONFIG.scrollThreshold) {
+        this.loadMore();
+      }
+    }, 150), { passive: true });
+
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && this.isDrawerOpen) this._closeDrawer();
     });
@@ -137,9 +171,18 @@ export class NotificationManager {
   }
 
   // ── Data Fetching ────────────────────────────────────────
+  /** (Re)loads the first page and the server-side unread count. */
   async fetchNotifications() {
     try {
-      this.notifications = await authenticatedKy.get(NOTIFICATION_CONFIG.endpoints.get).json();
+      const [items, unread] = await Promise.all([
+        this._fetchPage(1),
+        authenticatedKy.get(NOTIFICATION_CONFIG.endpoints.unreadCount).json().catch(() => null),
+      ]);
+
+      this.notifications = items;
+      this.page = 2;
+      // Without the count endpoint, fall back to what is loaded
+      this.unreadCount = unread?.count ?? items.filter((n) => !n.is_read).length;
       this._render();
     } catch (err) {
       console.error('[Notifications] Fetch failed:', err);
@@ -147,6 +190,77 @@ export class NotificationManager {
     }
   }
 
+  /** Appends the next page of older notifications. */
+  async loadMore() {
+    if (!this.hasMore || this.isLoadingMore) return;
+    this.isLoadingMore = true;
+
+    try {
+      const items = await this._fetchPage(this.page);
+      // Live items shift page boundaries — skip anything already shown
+      const known = new Set(this.notifications.map((n) => n.id));
+      this.notifications.push(...items.filter((n) => !known.has(n.id)));
+      this.page++;
+
+      const { scrollTop } = this.elements.drawer;
+      this._render();
+      this.elements.drawer.scrollTop = scrollTop;
+    } catch (err) {
+      console.error('[Notifications] Load more failed:', err);
+    } finally {
+      this.isLoadingMore = false;
+    }
+  }
+
+  async _fetchPage(page) {
+    const { perPage } = NOTIFICATION_CONFIG;
+    const res = await authenticatedKy
+      .get(NOTIFICATION_CONFIG.endpoints.get, { searchParams: { page, per_page: perPage } })
+      .json();
+
+    this.hasMore = res.length >= perPage;
+    const prefs = getNotificationPrefs();
+    return res.filter((n) => this._isVisible(n, prefs));
+  }
+
+  /**
+   * Muted types never surface. Scheduled posts are left out by the
+   * server; isPublished() is only a fallback for live items.
+   */
+  _isVisible(notification, prefs = getNotificationPrefs()) {
+    if (!isTypeEnabled(prefs, notification.notification_type)) return false;
+    return !notification._content_list || isPublished(notification._content_list);
+  }
+
+  // ── Live Updates ─────────────────────────────────────────
+  /** Prepends a pushed notification (deduped — tabs may overlap a refetch). */
+  _receive(notification) {
+    if (!notification?.id || this.notifications.some((n) => n.id === notification.id)) return;
+    if (!this._isVisible(notification)) return;
+
+    this.notifications.unshift(notification);
+    if (!notification.is_read) this.unreadCount++;
+    this._updateBadge();
+    if (!this.elements.drawer || !this.templateCard) return;
+
+    // Replace the empty/error placeholder with the first real card
+    this.elements.drawer.querySelectorAll('[data-notification-placeholder]').forEach((c) => c.remove());
+
+    // A new like on a grouped target replaces that group's card
+    const group = this._groupNotifications(this.notifications)
+      .find((g) => g.items[0].id === notification.id);
+    this.elements.drawer.querySelector(`[data-group-key="${group.key}"]`)?.remove();
+
+    const card = this._createCard(group);
+    const first = this.elements.drawer.querySelector('.notification-card');
+    if (first) first.before(card);
+    else this.elements.drawer.appendChild(card);
+
+    if (this.isDrawerOpen) {
+      requestAnimationFrame(() => card.classList.add(NOTIFICATION_CONFIG.classes.cardActive));
+    }
+  }
+
   // ── Rendering ────────────────────────────────────────────
   _render() {
     if (!this.elements.drawer || !this.templateCard) return;
@@ -159,19 +273,41 @@ export class NotificationManager {
       return;
     }
 
-    this.notifications.forEach((n) => {
-      const card = this._createCard(n);
+    this._groupNotifications(this.notifications).forEach((group) => {
+      const card = this._createCard(group);
       this.elements.drawer.appendChild(card);
       if (this.isDrawerOpen) card.classList.add(NOTIFICATION_CONFIG.classes.cardActive);
     });
   }
 
-  _createCard(notification) {
+  /**
+   * Collapses grouped types by target. Input is newest-first, so each
+   * group's `items[0]` is its latest notification and groups keep the
+   * position of their latest item.
+   *
+   * @returns {Array<{ key: string, items: object[] }>}
+   */
+  _groupNotifications(list) {
+    const groups = new Map();
+
+    list.forEach((n) => {
+      const field = NOTIFICATION_CONFIG.grouping[n.notification_type];
+      const key = field && n[field] ? `${n.notification_type}:${n[field]}` : `id:${n.id}`;
+      if (!groups.has(key)) groups.set(key, { key, items: [] });
+      groups.get(key).items.push(n);
+    });
+
+    return [...groups.values()];
+  }
+
+  _createCard(group) {
+    const notification = group.items[0];
     const card = this.templateCard.cloneNode(true);
     card.dataset.notificationId = notification.id;
+    card.dataset.groupKey = group.key;
     card.classList.remove(NOTIFICATION_CONFIG.classes.cardActive);
 
-    if (!notification.is_read) {
+    if (group.items.some((n) => !n.is_read)) {
       card.classList.add(NOTIFICATION_CONFIG.classes.cardUnread);
     }
 
@@ -182,11 +318,13 @@ export class NotificationManager {
       avatarImg.alt = notification._user?.name || 'User';
     }
 
-    // Text content
+    // Text content ("Alice and 14 others …" for groups)
     const userName = notification._user?.name || 'Someone';
+    const others = new Set(group.items.map((n) => n._user?.id ?? n.id)).size - 1;
+    const othersText = others > 0 ? ` and ${others} other${others === 1 ? '' : 's'}` : '';
     const timeAgo = dayjs(notification.created_at).fromNow();
     const textContent = `
-      <strong>${userName}</strong> ${notification.notification_text}
+      <strong>${userName}</strong>${othersText} ${notification.notification_text}${this._tipDetails(notification)}
       <br><span style="font-size:0.875rem;opacity:0.7">${timeAgo}</span>
     `;
 
@@ -210,12 +348,21 @@ export class NotificationManager {
     card.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      this._handleClick(notification, card);
+      this._handleClick(group, card);
     });
 
     return card;
   }
 
+  /** " · $5.00" plus the fan's quoted message for creator_new_tip. */
+  _tipDetails(notification) {
+    if (notification.notification_type !== 'creator_new_tip' || !notification.tip_amount) return '';
+    const message = notification.tip_message
+      ? `<br><em>“${escapeHtml(notification.tip_message)}”</em>`
+      : '';
+    return ` · <strong>${formatPrice(notification.tip_amount)}</strong>${message}`;
+  }
+
   _addThumbnail(card, notification) {
     const isVideo = notification._content_list.content_type === 'video';
     const url = isVideo ? notification.display_url : `${notification.display_url}?width=80`;
@@ -236,6 +383,7 @@ export class NotificationManager {
   _renderEmpty() {
     const card = this.templateCard.cloneNode(true);
     card.innerHTML = '<div style="text-align:center;padding:24px;opacity:0.6;width:100%"><p>No notifications yet</p></div>';
+    card.dataset.notificationPlaceholder = '';
     this.elements.drawer.appendChild(card);
     setTimeout(() => card.classList.add(NOTIFICATION_CONFIG.classes.cardActive), 50);
   }
@@ -243,19 +391,30 @@ export class NotificationManager {
   _renderError() {
     const card = this.templateCard.cloneNode(true);
     card.innerHTML = '<div style="text-align:center;padding:24px;color:#ff4444;width:100%"><p>Unable to load notifications.</p></div>';
+    card.dataset.notificationPlaceholder = '';
     this.elements.drawer.appendChild(card);
     setTimeout(() => card.classList.add(NOTIFICATION_CONFIG.classes.cardActive), 50);
   }
 
   // ── Click Handling ───────────────────────────────────────
-  async _handleClick(notification, cardElement) {
-    // Mark as read
-    if (!notification.is_read) {
+  async _handleClick(group, cardElement) {
+    const [notification] = group.items;
+
+    // Mark as read (the whole group)
+    const unread = group.items.filter((n) => !n.is_read);
+    if (unread.length > 0) {
       try {
-        await authenticatedKy.post(NOTIFICATION_CONFIG.endpoints.markRead, {
-          json: { notification_id: notification.id },
-        });
-        notification.is_read = true;
+        if (unread.length === 1) {
+          await authenticatedKy.post(NOTIFICATION_CONFIG.endpoints.markRead, {
+            json: { notification_id: unread[0].id },
+          });
+        } else {
+          await authenticatedKy.post(NOTIFICATION_CONFIG.endpoints.markReadMany, {
+            json: { notification_ids: unread.map((n) => n.id) },
+          });
+        }
+        unread.forEach((n) => (n.is_read = true));
+        this.unreadCount = Math.max(this.unreadCount - unread.length, 0);
         cardElement.classList.remove(NOTIFICATION_CONFIG.classes.cardUnread);
         this._updateBadge();
       } catch (err) {
@@ -285,82 +444,49 @@ export class NotificationManager {
   }
 
   async _openFromNotification(notification) {
-    // If Alpine feed app is available, open lightbox in-page
-    if (window.Alpine?.store('app')) {
-      const store = window.Alpine.store('app');
-      const post = {
-        id:             notification._content_list.id,
-        created_at:     notification._content_list.created_at,
-        content_type:   notification._content_list.content_type,
-        display_url:    notification.display_url,
-        likes_count:    notification._content_list.likes_count,
-        comments_count: notification._content_list.comments_count,
-        commentsLoaded: false,
-        comments:       [],
-        commentUsers:   {},
-      };
-
-      const feedEl = document.querySelector('[x-data]');
-      const feedApp = feedEl?.__x?.$data;
-      if (!feedApp) {
-        this._deepLinkFallback(notification);
-        return;
-      }
+    // On a feed/profile/post page, resolve + open the post in-page
+    const feedEl = document.querySelector('[x-data="app"]');
+    const feedApp = feedEl && window.Alpine?.$data(feedEl);
+    if (typeof feedApp?.openPostById !== 'function') {
+      this._deepLinkFallback(notification);
+      return;
+    }
 
-      store.openLightbox(post, feedApp.players, feedApp);
+    await feedApp.openPostById(notification.related_content_list_id, {
+      commentId: notification.related_comment_id,
+    });
+  }
 
-      // If targeting a specific comment, scroll to it
-      if (notification.related_comment_id) {
-        try {
-          await new Promise((r) => setTimeout(r, 400));
+  /** Elsewhere: the post's permalink page (opens on the comment, if any). */
+  _deepLinkFallback(notification) {
+    window.location.href = postPermalinkPath(notification.related_content_list_id, {
+      comment_id: notification.related_comment_id,
+    });
+  }
 
-          const [commentsRes] = await Promise.all([
-            authenticatedKy.get(NOTIFICATION_CONFIG.endpoints.getComments, {
-              searchParams: { content_id: notification.related_content_list_id },
-            }).json(),
-          ]);
+  // ── Mark All Read ────────────────────────────────────────
+  /** Optimistic: clears every card and badge, restores via refetch on failure. */
+  async markAllRead() {
+    if (this.unreadCount === 0 && this.notifications.every((n) => n.is_read)) return;
 
-          const userMap = {};
-          (commentsRes.user_list || []).forEach((u) => {
-            userMap[u.id] = { ...u, avatar_url: feedApp.formatAvatar(u.avatar_url) };
-          });
+    this.notifications.forEach((n) => (n.is_read = true));
+    this.unreadCount = 0;
+    this.elements.drawer
+      .querySelectorAll(`.${NOTIFICATION_CONFIG.classes.cardUnread}`)
+      .forEach((card) => card.classList.remove(NOTIFICATION_CONFIG.classes.cardUnread));
+    this._updateBadge();
 
-          post.comments = (commentsRes.structured_comments || []).map((c) => ({
-            ...c,
-            timeAgo: dayjs(c.created_at).fromNow(),
-            areRepliesOpen: false,
-            replies: (c.replies || []).map((r) => ({ ...r, timeAgo: dayjs(r.created_at).fromNow() })),
-          }));
-          post.commentUsers = userMap;
-          post.commentsLoaded = true;
-          feedApp.activePost = post;
-
-          setTimeout(() => {
-            const el = document.querySelector(`[data-comment-id="${notification.related_comment_id}"]`);
-            if (el) {
-              el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-              el.style.backgroundColor = 'rgba(77, 101, 255, 0.2)';
-              setTimeout(() => (el.style.backgroundColor = ''), 2000);
-            }
-          }, 600);
-        } catch (e) {
-          console.error('[Notifications] Comment scroll failed:', e);
-        }
-      }
-    } else {
-      this._deepLinkFallback(notification);
+    try {
+      await authenticatedKy.post(NOTIFICATION_CONFIG.endpoints.markAllRead);
+    } catch (err) {
+      console.error('[Notifications] Mark-all-read failed:', err);
+      this.refresh();
     }
   }
 
-  _deepLinkFallback(notification) {
-    let url = `${NOTIFICATION_CONFIG.routes.feed}?content_id=${notification.related_content_list_id}`;
-    if (notification.related_comment_id) url += `&comment_id=${notification.related_comment_id}`;
-    window.location.href = url;
-  }
-
   // ── Badge ────────────────────────────────────────────────
   _updateBadge() {
-    const count = this.notifications.filter((n) => !n.is_read).length;
+    const count = this.unreadCount;
     this.elements.unreadBadges?.forEach((badge) => {
       badge.style.display = count > 0 ? 'flex' : 'none';
       badge.textContent = count > 99 ? '99+' : String(count);
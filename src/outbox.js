@@ -0,0 +1,115 @@
+/**
+ * outbox.js — Persistent Mutation Outbox
+ * IndexedDB store for likes, bookmarks and comments made offline.
+ * ──────────────────────────────────────────────────────────────
+ * Entries are replayed by api.js when the `online` event fires.
+ * Each entry: { id, key, group, path, json, meta, idempotencyKey, userId,
+ * queuedAt }. Entries are only ever replayed for the user who queued them.
+ *
+ * `key` collapses repeated toggles on the same target (e.g. like →
+ * unlike → like) into the latest state. Entries without a key
+ * (comments) are always appended.
+ *
+ * SAFARI: IndexedDB is available in Safari 10+, but private browsing
+ *         on older versions throws on open() — every call degrades to
+ *         an in-memory list so mutations are at least kept for the
+ *         lifetime of the page.
+ */
+
+import { API_CONFIG } from './config.js';
+
+const { dbName, storeName } = API_CONFIG.outbox;
+
+// ─── Private Module State ────────────────────────────────────
+let dbPromise = null;
+let memoryFallback = null;
+let nextMemoryId = 1;
+
+// ─── DB Helpers ──────────────────────────────────────────────
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('key', 'key', { unique: false });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      console.warn('[Outbox] IndexedDB unavailable, using memory:', err);
+      memoryFallback = [];
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+/** Runs `fn(store)` in a transaction and resolves with its request result. */
+async function withStore(mode, fn) {
+  const db = await openDB();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ─── Public API ──────────────────────────────────────────────
+/**
+ * Adds a mutation to the outbox. An existing entry with the same
+ * `key` is replaced so only the latest state is replayed.
+ *
+ * @param {object} entry - { key?, group, path, json, meta?, idempotencyKey, userId }
+ */
+export async function enqueue(entry) {
+  const record = { ...entry, queuedAt: Date.now() };
+
+  await openDB();
+  if (memoryFallback) {
+    if (record.key) memoryFallback = memoryFallback.filter((e) => e.key !== record.key);
+    memoryFallback.push({ ...record, id: nextMemoryId++ });
+    return;
+  }
+
+  if (record.key) {
+    const existing = await withStore('readonly', (store) => store.index('key').getAllKeys(record.key));
+    if (existing?.length) {
+      await withStore('readwrite', (store) => existing.forEach((id) => store.delete(id)));
+    }
+  }
+  await withStore('readwrite', (store) => store.add(record));
+}
+
+/** Returns every queued entry, oldest first. */
+export async function listPending() {
+  await openDB();
+  if (memoryFallback) return [...memoryFallback];
+  return (await withStore('readonly', (store) => store.getAll())) || [];
+}
+
+/** Removes a replayed (or permanently rejected) entry. */
+export async function remove(id) {
+  await openDB();
+  if (memoryFallback) {
+    memoryFallback = memoryFallback.filter((e) => e.id !== id);
+    return;
+  }
+  await withStore('readwrite', (store) => store.delete(id));
+}
+
+/** Deletes the whole database (logout and account deletion). */
+export async function deleteOutbox() {
+  const db = await dbPromise;
+  db?.close();
+  dbPromise = null;
+  memoryFallback = null;
+
+  await new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(dbName);
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
@@ -0,0 +1,29 @@
+/**
+ * pages/analytics.js — Analytics Dashboard Entry Point
+ * ──────────────────────────────────────────────────────────────
+ * Usage in Webflow HTML Embed:
+ *
+ *   <script type="module">
+ *     import { initAnalyticsPage } from
+ *       'https://cdn.jsdelivr.net/gh/ChristopherNelson99/fan-platform@main/src/pages/analytics.js';
+ *     initAnalyticsPage();
+ *   </script>
+ *
+ * PREREQUISITES: main-site.js must load first (AuthManager enforces
+ *                the creator-only /admin/analytics route rule).
+ */
+
+import Alpine from 'https://esm.sh/alpinejs@3.13.3';
+import { registerAnalytics } from '../analytics-component.js';
+
+export function initAnalyticsPage() {
+  document.addEventListener('alpine:init', () => {
+    registerAnalytics();
+  });
+
+  if (!window.Alpine?.initialized) {
+    Alpine.start();
+    window.Alpine = Alpine;
+    window.Alpine.initialized = true;
+  }
+}
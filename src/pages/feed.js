@@ -50,7 +50,7 @@ export function initFeedPageComplete() {
 
   wrapInTemplate(
     '[x-template="feed-item"]',
-    'post in (currentFilter === "all" ? feed : feed.filter(p => currentFilter === "paid" ? p.paid : !p.paid))',
+    'post in feed',   // Already filtered server-side by currentFilter
     'post.id',
   );
 
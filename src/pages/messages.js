@@ -0,0 +1,34 @@
+/**
+ * pages/messages.js — Messages Page Entry Point
+ * ──────────────────────────────────────────────────────────────
+ * Usage in Webflow HTML Embed:
+ *
+ *   <script type="module">
+ *     import { initMessagesPage } from
+ *       'https://cdn.jsdelivr.net/gh/ChristopherNelson99/fan-platform@main/src/pages/messages.js';
+ *     initMessagesPage();
+ *   </script>
+ *
+ * PREREQUISITES: main-site.js must load first (provides
+ *                window.currentUser + roles via AuthManager).
+ */
+
+import Alpine from 'https://esm.sh/alpinejs@3.13.3';
+import { registerMessagesComponent } from '../messages-component.js';
+import { wrapInTemplate } from '../utils.js';
+
+export function initMessagesPage() {
+  document.addEventListener('alpine:init', () => {
+    registerMessagesComponent();
+  });
+
+  // Webflow static elements → Alpine <template x-for> loops
+  wrapInTemplate('[x-template="conversation-item"]', 'conversation in conversations', 'conversation.id');
+  wrapInTemplate('[x-template="message-item"]', 'message in messages', 'message.id');
+
+  if (!window.Alpine?.initialized) {
+    Alpine.start();
+    window.Alpine = Alpine;
+    window.Alpine.initialized = true;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * pages/post.js — Post Permalink Page Entry Point
+ * Place in: Post page (/membership/post) → Custom Code → Before </body> tag
+ * ──────────────────────────────────────────────────────────────
+ * Reuses the Alpine `app` component with POST_CONFIG: one post,
+ * resolved through the single-post endpoint, instead of a feed.
+ *
+ * URLs:  /membership/post/<id>              (host rewrites to this page)
+ *        /membership/post?content_id=<id>   (POST_CONFIG.pathIds off)
+ *        …&comment_id=<id>                  (opens the lightbox on it)
+ *
+ * Usage in Webflow HTML Embed:
+ *
+ *   <script type="module">
+ *     import { initPostPage } from
+ *       'https://cdn.jsdelivr.net/gh/ChristopherNelson99/fan-platform@main/src/pages/post.js';
+ *     initPostPage();
+ *   </script>
+ */
+
+import Alpine from 'https://esm.sh/alpinejs@3.13.3';
+import { registerStores } from '../stores.js';
+import { registerPostComponent } from '../feed-component.js';
+import { wrapInTemplate, ensurePlyrCSS } from '../utils.js';
+
+export function initPostPage() {
+  // 1. Inject Plyr CSS
+  ensurePlyrCSS();
+
+  // 2. Register Alpine stores + post component
+  document.addEventListener('alpine:init', () => {
+    registerStores();
+    registerPostComponent();
+  });
+
+  // 3. Wrap Webflow static elements into Alpine loops
+  wrapInTemplate(
+    '[x-template="reply-item"]',
+    '(reply, index) in comment.replies',
+    'reply.id',
+  );
+
+  wrapInTemplate(
+    '[x-template="comment-item"]',
+    'comment in (activePost ? activePost.comments : [])',
+    'comment.id',
+  );
+
+  // The resolved post is the feed's only item
+  wrapInTemplate(
+    '[x-template="feed-item"]',
+    'post in feed',
+    'post.id',
+  );
+
+  // 4. Start Alpine
+  Alpine.start();
+}
@@ -6,7 +6,8 @@
  *
  * Differences from feed:
  *   - Endpoints: get_profile_feed_premium / get_profile_feed_unsubbed
- *   - Filters:   liked / bookmarked (toggle) instead of paid / free
+ *   - Filters:   liked / bookmarked (toggle) instead of paid / free,
+ *                sent to the endpoints as ?filter=
  *
  * Usage in Webflow HTML Embed:
  *
@@ -45,14 +46,10 @@ export function initProfilePage() {
     'comment.id',
   );
 
-  // Profile-specific filter: liked / bookmarked / all
+  // liked / bookmarked / all — filtered server-side by currentFilter
   wrapInTemplate(
     '[x-template="feed-item"]',
-    `post in (
-      currentFilter === 'liked'      ? feed.filter(p => p.is_liked) :
-      currentFilter === 'bookmarked' ? feed.filter(p => p.is_bookmarked) :
-      feed
-    )`,
+    'post in feed',
     'post.id',
   );
 
@@ -0,0 +1,29 @@
+/**
+ * pages/promo-codes.js — Promo Codes Admin Entry Point
+ * ──────────────────────────────────────────────────────────────
+ * Usage in Webflow HTML Embed:
+ *
+ *   <script type="module">
+ *     import { initPromoCodesPage } from
+ *       'https://cdn.jsdelivr.net/gh/ChristopherNelson99/fan-platform@main/src/pages/promo-codes.js';
+ *     initPromoCodesPage();
+ *   </script>
+ *
+ * PREREQUISITES: main-site.js must load first (AuthManager enforces
+ *                the creator-only /admin/promo-codes route rule).
+ */
+
+import Alpine from 'https://esm.sh/alpinejs@3.13.3';
+import { registerPromoAdmin } from '../promo-admin-component.js';
+
+export function initPromoCodesPage() {
+  document.addEventListener('alpine:init', () => {
+    registerPromoAdmin();
+  });
+
+  if (!window.Alpine?.initialized) {
+    Alpine.start();
+    window.Alpine = Alpine;
+    window.Alpine.initialized = true;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * popup.js — Shared Error Popup
+ * The subscription / rate-limit popup used by the feed, profile and
+ * messages components.
+ * ──────────────────────────────────────────────────────────────
+ * Each component owns a `popup` state object (see `createPopupState`)
+ * and a `logout()` method; these helpers fill the popup in so every
+ * page gates paid features with the same flow.
+ */
+
+import { TIERS_CONFIG } from './config.js';
+import { creatorRoute } from './creator.js';
+
+/** Initial (hidden) popup state for a component. */
+export function createPopupState() {
+  return {
+    show: false,
+    header: '',
+    message: '',
+    btnText: '',
+    btnAction: null,
+    isLocked: false,
+    showCloseIcon: true,
+    // Subscription checkout only (checkout.js)
+    showPromo: false,
+    promoCode: '',
+    promoError: '',
+    quote: null,
+  };
+}
+
+/**
+ * Shows the popup for an error type on `component.popup`.
+ *   'subscription' → subscribe CTA
+ *   'tier'         → "Requires Gold" CTA (detail = the required tier)
+ *   'not_found'    → "Post Not Found"
+ *   'checkout'     → checkout session came back without a URL
+ *   anything else  → locked rate-limit countdown, then "Return Home"
+ *
+ * @param {object} component - Alpine component data (`popup`, `logout`).
+ * @param {string} type
+ * @param {object} [detail]
+ */
+export function triggerError(component, type, detail) {
+  if (type === 'tier' && detail) {
+    // Subscribers change tier through the billing portal on the plan tab
+    const planUrl = `/setting?tab=plan&${TIERS_CONFIG.planParam}=${detail.id}`;
+    component.popup = {
+      show: true,
+      header: `Requires ${detail.name}`,
+      message: `This post is for ${detail.name} members and above.`,
+      btnText: component.user?.subscribed ? `Upgrade to ${detail.name}` : 'Subscribe',
+      isLocked: false,
+      showCloseIcon: true,
+      btnAction: () => (window.location.href = creatorRoute(planUrl)),
+    };
+  } else if (type === 'not_found') {
+    component.popup = {
+      show: true,
+      header: 'Post Not Found',
+      message: 'This post may have been removed or is no longer available.',
+      btnText: 'OK',
+      isLocked: false,
+      showCloseIcon: true,
+      btnAction: () => (component.popup.show = false),
+    };
+  } else if (type === 'checkout') {
+    component.popup = {
+      show: true,
+      header: 'Checkout Unavailable',
+      message: "We couldn't start checkout. Please try again in a moment.",
+      btnText: 'OK',
+      isLocked: false,
+      showCloseIcon: true,
+      btnAction: () => (component.popup.show = false),
+    };
+  } else if (type === 'subscription') {
+    component.popup = {
+      show: true,
+      header: 'Subscription Required',
+      message: 'Unlock premium content and private messages.',
+      btnText: 'Subscribe',
+      isLocked: false,
+      showCloseIcon: true,
+      btnAction: () => (window.location.href = creatorRoute('/setting?tab=plan')),
+    };
+  } else {
+    let countdown = 20;
+    component.popup = {
+      show: true,
+      header: 'Rate Limited',
+      message: 'Please wait a moment.',
+      isLocked: true,
+      showCloseIcon: false,
+      btnText: `Wait ${countdown}s`,
+      btnAction: null,
+    };
+    const interval = setInterval(() => {
+      countdown--;
+      if (countdown > 0) {
+        component.popup.btnText = `Wait ${countdown}s`;
+      } else {
+        clearInterval(interval);
+        component.popup.isLocked = false;
+        component.popup.btnText = 'Return Home';
+        component.popup.btnAction = () => component.logout();
+      }
+    }, 1000);
+  }
+}
+
+/** Maps an API error status to logout / subscription / rate-limit. */
+export function handleApiError(component, e) {
+  const status = e?.response?.status;
+  if (status === 401) component.logout();
+  else if (status === 403) triggerError(component, 'subscription');
+  else triggerError(component, 'rate_limit');
+}
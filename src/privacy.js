@@ -0,0 +1,79 @@
+/**
+ * privacy.js — Personal Data Export + Account Deletion
+ * GDPR "download my data" / "delete my account" for the settings page.
+ * ──────────────────────────────────────────────────────────────
+ * EXPORT:  The server assembles the user's data; this only saves the
+ *          response as a JSON file.
+ *
+ * DELETE:  Irreversible and server-side. Afterwards every client-side
+ *          trace is removed: the keys in PRIVACY_CONFIG (plus the
+ *          consent choice), resumable upload sessions, the tracking
+ *          session and feed snapshots, the offline outbox database and
+ *          this browser's push subscription.
+ */
+
+import { API } from './api.js';
+import { PRIVACY_CONFIG } from './config.js';
+import { deleteOutbox } from './outbox.js';
+import { unsubscribePush } from './push.js';
+import { clearTracking } from './tracking.js';
+import { dayjs } from './utils.js';
+
+const E = PRIVACY_CONFIG.endpoints;
+
+// ─── Export ──────────────────────────────────────────────────
+/** Downloads the signed-in user's data as my-data-YYYY-MM-DD.json. */
+export async function downloadMyData() {
+  const blob = await API.profile.get(E.export).blob();
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `my-data-${dayjs().format('YYYY-MM-DD')}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─── Delete ──────────────────────────────────────────────────
+/**
+ * Deletes the account, then wipes this browser. Throws (leaving
+ * everything in place) if the server refuses.
+ */
+export async function deleteMyAccount() {
+  await API.profile.post(E.delete).json();
+  await clearClientData();
+}
+
+/**
+ * Removes everything the app stored in this browser. The account (and
+ * its push subscriptions) is gone server-side, so push is only dropped
+ * locally.
+ */
+export async function clearClientData() {
+  clearTracking();
+
+  try {
+    await unsubscribePush({ localOnly: true });
+  } catch (err) {
+    console.warn('[Privacy] Push unsubscribe failed:', err);
+  }
+
+  [...PRIVACY_CONFIG.localKeys, PRIVACY_CONFIG.consentKey].forEach((key) => localStorage.removeItem(key));
+  Object.keys(localStorage)
+    .filter((key) => PRIVACY_CONFIG.localPrefixes.some((prefix) => key.startsWith(prefix)))
+    .forEach((key) => localStorage.removeItem(key));
+  PRIVACY_CONFIG.sessionKeys.forEach((key) => sessionStorage.removeItem(key));
+  Object.keys(sessionStorage)
+    .filter((key) => PRIVACY_CONFIG.sessionPrefixes.some((prefix) => key.startsWith(`${prefix}:`)))
+    .forEach((key) => sessionStorage.removeItem(key));
+
+  try {
+    await deleteOutbox();
+  } catch (err) {
+    console.warn('[Privacy] Outbox delete failed:', err);
+  }
+
+  window.currentUser = null;
+  window.creatorProfile = null;
+  window.isAdmin = false;
+}
@@ -0,0 +1,239 @@
+/**
+ * promo-admin-component.js — Promo Codes Admin
+ * Alpine `promoAdmin` data component.
+ * ──────────────────────────────────────────────────────────────
+ * Handles: Listing the creator's promo codes with redemption counts,
+ *          creating codes (percent / amount off, or a free trial),
+ *          expiring them early, and the redemptions list per code.
+ *
+ * SECURITY: Creator-only — the /admin/promo-codes route rule requires
+ *           the `creator` role, and the API checks it again. Stripe
+ *           coupons/promotion codes are created server-side.
+ */
+
+import Alpine from 'https://esm.sh/alpinejs@3.13.3';
+import { API } from './api.js';
+import { AUTH_CONFIG, CHECKOUT_CONFIG, PROMO_CONFIG, SETTINGS_CONFIG } from './config.js';
+import { creatorRoute } from './creator.js';
+import { normalizePromoCode } from './promo.js';
+import { getTiers } from './tiers.js';
+import { dayjs, formatPrice } from './utils.js';
+
+const E = PROMO_CONFIG.endpoints;
+
+function emptyForm() {
+  return {
+    code: '',
+    kind: 'percent',        // Key of PROMO_CONFIG.kinds
+    value: '',              // Percent, or dollars for 'amount'
+    trialDays: 7,
+    tierId: '',             // '' = any tier
+    maxRedemptions: '',     // '' = unlimited
+    expiresAt: '',          // <input type="datetime-local">; '' = never
+  };
+}
+
+export function registerPromoAdmin() {
+  Alpine.data('promoAdmin', () => ({
+    // ── State ────────────────────────────────────────────
+    codes: [],
+    form: emptyForm(),
+    kinds: PROMO_CONFIG.kinds,
+    tiers: [],
+    selected: null,          // Code whose redemptions are open
+    redemptions: [],
+    _redemptionsSeq: 0,      // Bumped per request — stale responses are dropped
+
+    // Loading
+    isLoading: true,
+    isSaving: false,
+    isRedemptionsLoading: false,
+
+    // Feedback
+    formError: '',
+    listError: '',
+    copiedId: null,
+
+    // ── Lifecycle ────────────────────────────────────────
+    async init() {
+      // AuthManager may still be loading — fall back to the cached profile
+      const cachedCreator = JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.creatorData) || 'null');
+      this.tiers = getTiers(window.creatorProfile || cachedCreator);
+      await this.loadCodes();
+    },
+
+    async loadCodes() {
+      this.isLoading = true;
+      this.listError = '';
+
+      try {
+        this.codes = await API.admin.get(E.list).json();
+      } catch (error) {
+        console.error('[Promo] Load failed:', error);
+        this.listError = 'Failed to load promo codes.';
+      } finally {
+        this.isLoading = false;
+      }
+    },
+
+    // ── Display Helpers ──────────────────────────────────
+    /** 'active' | 'expired' | 'exhausted' */
+    statusOf(code) {
+      if (code.expired_at || (code.expires_at && dayjs(code.expires_at).isBefore(dayjs()))) return 'expired';
+      if (code.max_redemptions && code.redemption_count >= code.max_redemptions) return 'exhausted';
+      return 'active';
+    },
+
+    /** "20% off", "$5.00 off" or "14-day free trial". */
+    describe(code) {
+      if (code.kind === 'trial') return `${code.trial_days}-day free trial`;
+      if (code.kind === 'amount') return `${formatPrice(code.amount_off)} off`;
+      return `${code.percent_off}% off`;
+    },
+
+    /** "12 / 100" or "12" when unlimited. */
+    usage(code) {
+      const used = code.redemption_count || 0;
+      return code.max_redemptions ? `${used} / ${code.max_redemptions}` : String(used);
+    },
+
+    /** Signup link that applies the code (see promo.js). */
+    campaignLink(code) {
+      const url = new URL(creatorRoute('/auth/signup'), window.location.origin);
+      url.searchParams.set(PROMO_CONFIG.param, code.code);
+      return url.href;
+    },
+
+    async copyLink(code) {
+      try {
+        await navigator.clipboard.writeText(this.campaignLink(code));
+        this.copiedId = code.id;
+        setTimeout(() => {
+          if (this.copiedId === code.id) this.copiedId = null;
+        }, SETTINGS_CONFIG.successFeedbackDuration);
+      } catch {
+        // Clipboard blocked — the link is also shown as text
+      }
+    },
+
+    // ── Create ───────────────────────────────────────────
+    async createCode() {
+      if (this.isSaving) return;
+
+      const f = this.form;
+      const code = normalizePromoCode(f.code);
+      const value = Number(f.value);
+      const expiresAt = f.expiresAt ? dayjs(f.expiresAt) : null;
+
+      if (!code) {
+        this.formError = 'Codes are 3–32 letters, numbers, dashes or underscores.';
+        return;
+      }
+      if (f.kind === 'percent' && !(value > 0 && value <= 100)) {
+        this.formError = 'Percent off must be between 1 and 100.';
+        return;
+      }
+      if (f.kind === 'amount' && !(value >= CHECKOUT_CONFIG.minPrice)) {
+        this.formError = `Amount off must be at least ${formatPrice(CHECKOUT_CONFIG.minPrice * 100)}.`;
+        return;
+      }
+      if (f.kind === 'trial' && !(Number(f.trialDays) >= 1)) {
+        this.formError = 'Trials must be at least 1 day.';
+        return;
+      }
+      if (expiresAt && !expiresAt.isAfter(dayjs())) {
+        this.formError = 'Pick an expiry date in the future.';
+        return;
+      }
+
+      this.isSaving = true;
+      this.formError = '';
+
+      try {
+        const created = await API.admin
+          .post(E.create, {
+            json: {
+              code,
+              kind:            f.kind,
+              percent_off:     f.kind === 'percent' ? value : null,
+              amount_off:      f.kind === 'amount' ? Math.round(value * 100) : null,   // cents
+              trial_days:      f.kind === 'trial' ? Number(f.trialDays) : null,
+              tier_id:         f.tierId || null,
+              max_redemptions: f.maxRedemptions ? Number(f.maxRedemptions) : null,
+              expires_at:      expiresAt ? expiresAt.toISOString() : null,
+            },
+            timeout: SETTINGS_CONFIG.requestTimeout,
+          })
+          .json();
+
+        this.codes = [created, ...this.codes];
+        this.form = emptyForm();
+      } catch (error) {
+        this.formError = await this._parseError(error, 'Failed to create code');
+      } finally {
+        this.isSaving = false;
+      }
+    },
+
+    // ── Expire ───────────────────────────────────────────
+    async expireCode(code) {
+      if (!confirm(`Expire ${code.code}? It can't be redeemed again.`)) return;
+
+      const prev = code.expired_at;
+      code.expired_at = new Date().toISOString();   // Optimistic
+
+      try {
+        await API.admin.post(E.expire, { json: { promo_id: code.id } }).json();
+      } catch (error) {
+        code.expired_at = prev;
+        this.listError = await this._parseError(error, 'Failed to expire code');
+      }
+    },
+
+    // ── Redemptions ──────────────────────────────────────
+    async viewRedemptions(code) {
+      const seq = ++this._redemptionsSeq;
+
+      if (this.selected?.id === code.id) {
+        this.selected = null;
+        this.isRedemptionsLoading = false;
+        return;
+      }
+
+      this.selected = code;
+      this.redemptions = [];
+      this.isRedemptionsLoading = true;
+
+      try {
+        // [{ id, created_at, trial_converted, _user: { name, email } }]
+        const redemptions = await API.admin
+          .get(E.redemptions, { searchParams: { promo_id: code.id } })
+          .json();
+        if (seq === this._redemptionsSeq) this.redemptions = redemptions;
+      } catch (error) {
+        if (seq !== this._redemptionsSeq) return;
+        console.error('[Promo] Redemptions load failed:', error);
+        this.listError = 'Failed to load redemptions.';
+      } finally {
+        if (seq === this._redemptionsSeq) this.isRedemptionsLoading = false;
+      }
+    },
+
+    formatDate(date) {
+      return date ? dayjs(date).format('MMM D, YYYY') : '—';
+    },
+
+    // ── Helpers ───────────────────────────────────────────
+    async _parseError(error, fallback) {
+      if (error.response) {
+        try {
+          const data = await error.response.json();
+          return data.message || fallback;
+        } catch {
+          return fallback;
+        }
+      }
+      return 'Network error. Please try again.';
+    },
+  }));
+}
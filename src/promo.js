@@ -0,0 +1,49 @@
+/**
+ * promo.js — Campaign Promo Codes
+ * Remembers a promo code from a campaign link until checkout.
+ * ──────────────────────────────────────────────────────────────
+ * FLOW: ?promo=SPRING on any page → localStorage (PROMO_CONFIG.ttl)
+ *       → sent with signup / magic-link requests so the emailed link
+ *       carries it to another device → prefilled in the checkout popup.
+ *
+ * Codes are only normalised here; validity, expiry and redemption
+ * limits are checked by the quote endpoint.
+ */
+
+import { PROMO_CONFIG } from './config.js';
+
+/** Uppercases and trims a code; returns '' if it can't be one. */
+export function normalizePromoCode(code) {
+  const value = String(code || '').trim().toUpperCase();
+  return PROMO_CONFIG.pattern.test(value) ? value : '';
+}
+
+/**
+ * Saves ?promo= from the current URL, if present. Call before any
+ * redirect (e.g. AuthManager sending guests to login) drops the query.
+ *
+ * @returns {string} The captured code, or ''.
+ */
+export function capturePromoFromUrl() {
+  const code = normalizePromoCode(new URLSearchParams(window.location.search).get(PROMO_CONFIG.param));
+  if (code) {
+    localStorage.setItem(PROMO_CONFIG.storageKey, JSON.stringify({ code, savedAt: Date.now() }));
+  }
+  return code;
+}
+
+/** The remembered code, or '' once it has expired. */
+export function getStoredPromo() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROMO_CONFIG.storageKey) || 'null');
+    if (saved?.code && Date.now() - saved.savedAt < PROMO_CONFIG.ttl) return saved.code;
+  } catch {
+    // Corrupt entry — treat as none
+  }
+  clearStoredPromo();
+  return '';
+}
+
+export function clearStoredPromo() {
+  localStorage.removeItem(PROMO_CONFIG.storageKey);
+}
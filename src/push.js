@@ -0,0 +1,98 @@
+/**
+ * push.js — Web Push Subscription
+ * Registers the service worker (sw.js) and keeps the browser's push
+ * subscription in sync with Xano.
+ * ──────────────────────────────────────────────────────────────
+ * States: 'unsupported' | 'denied' | 'subscribed' | 'unsubscribed'
+ *
+ * SECURITY: The VAPID public key is fetched from Xano; the private
+ *           key never leaves the server. Subscriptions are removed on
+ *           logout so a shared device stops receiving the user's pushes.
+ * SAFARI:   iOS only supports Web Push for sites added to the Home
+ *           Screen (16.4+); in a normal tab `PushManager` is missing
+ *           and the state is 'unsupported'.
+ */
+
+import { authenticatedKy } from './api.js';
+import { PUSH_CONFIG } from './config.js';
+
+const E = PUSH_CONFIG.endpoints;
+
+// ─── Helpers ─────────────────────────────────────────────────
+export function isPushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+/** VAPID keys are base64url; PushManager wants raw bytes. */
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+async function getSubscription() {
+  const reg = await navigator.serviceWorker.getRegistration(PUSH_CONFIG.serviceWorkerUrl);
+  return reg ? reg.pushManager.getSubscription() : null;
+}
+
+// ─── Public API ──────────────────────────────────────────────
+/** Current push state for this browser. */
+export async function getPushState() {
+  if (!isPushSupported()) return 'unsupported';
+  if (Notification.permission === 'denied') return 'denied';
+  return (await getSubscription()) ? 'subscribed' : 'unsubscribed';
+}
+
+/**
+ * Asks for permission, subscribes, and registers the subscription
+ * with Xano. Must be called from a user gesture (Safari requirement).
+ *
+ * @returns {Promise<string>} The resulting push state.
+ */
+export async function subscribePush() {
+  if (!isPushSupported()) return 'unsupported';
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return permission === 'denied' ? 'denied' : 'unsubscribed';
+
+  const reg = await navigator.serviceWorker.register(PUSH_CONFIG.serviceWorkerUrl);
+  await navigator.serviceWorker.ready;
+
+  const { public_key: publicKey } = await authenticatedKy.get(E.vapidKey).json();
+  const subscription = (await reg.pushManager.getSubscription())
+    || (await reg.pushManager.subscribe({
+      userVisibleOnly:      true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    }));
+
+  await authenticatedKy.post(E.subscribe, {
+    json: { subscription: subscription.toJSON(), user_agent: navigator.userAgent },
+  });
+  return 'subscribed';
+}
+
+/**
+ * Removes the subscription from Xano and the browser.
+ *
+ * @param {object}  [opts]
+ * @param {boolean} [opts.localOnly] - Session already expired: skip the
+ *   server call (its 401 would only start another refresh → logout) and
+ *   just drop the browser subscription.
+ */
+export async function unsubscribePush({ localOnly = false } = {}) {
+  if (!isPushSupported()) return 'unsupported';
+
+  const subscription = await getSubscription();
+  if (!subscription) return 'unsubscribed';
+
+  try {
+    if (!localOnly) {
+      await authenticatedKy.post(E.unsubscribe, { json: { endpoint: subscription.endpoint } });
+    }
+  } finally {
+    // Even if Xano is unreachable, stop this browser from receiving pushes
+    await subscription.unsubscribe();
+  }
+  return 'unsubscribed';
+}
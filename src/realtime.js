@@ -0,0 +1,241 @@
+/**
+ * realtime.js — Live Event Channel
+ * Pushes server events (`{ type, data }`) to every open tab over a
+ * single connection per browser.
+ * ──────────────────────────────────────────────────────────────
+ * LEADER:    Tabs compete for a Web Lock; the holder opens the
+ *            connection and relays each event to the other tabs over
+ *            a BroadcastChannel. When the leader tab closes, the lock
+ *            passes to the next tab, which reconnects.
+ *
+ * TRANSPORT: REALTIME_CONFIG.transport picks WebSocket or SSE. After
+ *            `fallbackAfter` consecutive failures (or if the browser
+ *            lacks the API) it degrades to long-polling, and tries the
+ *            preferred transport again every `upgradeInterval`.
+ *
+ * POLLING:   `since` is the newest event the server has sent, never
+ *            the client clock. Polls are at least `pollMinInterval`
+ *            apart and back off while the server answers at once with
+ *            nothing.
+ *
+ * RESYNC:    After a reconnect, a `resync` event is emitted so
+ *            listeners can refetch whatever they missed while offline.
+ *
+ * SAFARI:    Web Locks and BroadcastChannel need Safari 15.4+. Older
+ *            browsers fall back to one connection per tab.
+ *
+ * SECURITY:  EventSource cannot send headers, so SSE connects with a
+ *            short-lived ticket instead of the auth token. WebSockets
+ *            send the token in the first frame, never in the URL, and
+ *            only count as connected once the server acks it. A
+ *            rejected token is refreshed before the next attempt.
+ */
+
+import { authenticatedKy, renewSession } from './api.js';
+import { AUTH_CONFIG, REALTIME_CONFIG } from './config.js';
+
+const R = REALTIME_CONFIG;
+
+// ─── Private Module State ────────────────────────────────────
+const listeners = new Map();   // type → Set<handler>
+let channel = null;
+let started = false;
+let transport = R.transport;
+let failures = 0;
+let isConnected = false;
+let hasConnected = false;
+let lastEventAt = null;        // Newest server `created_at` seen (null → server default)
+let emptyPolls = 0;            // Consecutive polls that returned early with nothing
+let upgradeAt = 0;             // When a fallen-back leader retries R.transport (0 = never)
+
+// ─── Event Dispatch ──────────────────────────────────────────
+function dispatch(event) {
+  listeners.get(event.type)?.forEach((handler) => {
+    try {
+      handler(event.data);
+    } catch (err) {
+      console.error(`[Realtime] "${event.type}" handler failed:`, err);
+    }
+  });
+}
+
+/** Leader only: deliver locally and relay to the other tabs. */
+function publish(event) {
+  const at = event.data?.created_at;
+  if (at && (!lastEventAt || new Date(at) > new Date(lastEventAt))) lastEventAt = at;
+  dispatch(event);
+  channel?.postMessage(event);
+}
+
+// ─── Connection Lifecycle ────────────────────────────────────
+function reconnectDelay() {
+  return Math.min(R.reconnect.baseDelay * 2 ** (failures - 1), R.reconnect.maxDelay);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function onOpen() {
+  if (isConnected) return;
+  if (hasConnected) publish({ type: 'resync' });
+  isConnected = hasConnected = true;
+  failures = 0;
+}
+
+function onDrop() {
+  isConnected = false;
+  failures++;
+  if (transport !== 'poll' && failures >= R.fallbackAfter) {
+    console.warn(`[Realtime] ${transport} unavailable, falling back to polling`);
+    transport = 'poll';
+    upgradeAt = Date.now() + R.upgradeInterval;
+  }
+  setTimeout(connect, reconnectDelay());
+}
+
+function connect() {
+  if (!localStorage.getItem(AUTH_CONFIG.storage.authToken)) return;
+
+  if (transport === 'websocket' && 'WebSocket' in window) return connectSocket();
+  if (transport === 'sse' && 'EventSource' in window) return connectStream();
+
+  transport = 'poll';
+  return pollLoop();
+}
+
+// ─── Transports ──────────────────────────────────────────────
+function parse(raw) {
+  try {
+    const event = JSON.parse(raw);
+    if (event?.type && event.type !== R.socketAuthAck) publish(event);
+  } catch {
+    console.warn('[Realtime] Ignored malformed event');
+  }
+}
+
+function connectSocket() {
+  const ws = new WebSocket(R.endpoints.socket);
+  let authed = false;
+
+  ws.onopen = () => {
+    // Read now, not at startup — the token may have been refreshed since
+    ws.send(JSON.stringify({
+      action: 'auth',
+      token:  localStorage.getItem(AUTH_CONFIG.storage.authToken),
+    }));
+  };
+  ws.onmessage = (e) => {
+    // Connected once the server accepts the token: its ack, or any first event
+    if (!authed) {
+      authed = true;
+      onOpen();
+    }
+    parse(e.data);
+  };
+  ws.onclose = async (e) => {
+    if (!authed && e.code === R.socketAuthRejected) {
+      try {
+        await renewSession();
+      } catch {
+        return;   // Session is dead — already logged out
+      }
+    }
+    onDrop();
+  };
+}
+
+async function connectStream() {
+  let ticket;
+  try {
+    ({ ticket } = await authenticatedKy.post(R.endpoints.ticket).json());
+  } catch (err) {
+    console.error('[Realtime] Stream ticket failed:', err);
+    onDrop();
+    return;
+  }
+
+  const es = new EventSource(`${R.endpoints.stream}?ticket=${encodeURIComponent(ticket)}`);
+  es.onopen = () => onOpen();
+  es.onmessage = (e) => parse(e.data);
+  // The ticket is single-use, so EventSource's own retry would fail —
+  // close and reconnect with a fresh ticket instead.
+  es.onerror = () => {
+    es.close();
+    onDrop();
+  };
+}
+
+async function pollLoop() {
+  while (localStorage.getItem(AUTH_CONFIG.storage.authToken)) {
+    if (upgradeAt && Date.now() >= upgradeAt) {
+      // Give the preferred transport another go — one failure drops back here
+      upgradeAt = 0;
+      transport = R.transport;
+      failures = R.fallbackAfter - 1;
+      isConnected = false;
+      connect();
+      return;
+    }
+
+    const startedAt = Date.now();
+    let items;
+    try {
+      const searchParams = { wait: R.longPollWait };
+      if (lastEventAt) searchParams.since = lastEventAt;
+      items = await authenticatedKy
+        .get(R.endpoints.poll, { searchParams, timeout: R.longPollWait + 10000, retry: 0 })
+        .json();
+    } catch (err) {
+      console.warn('[Realtime] Poll failed:', err);
+      onDrop();   // Backs off via reconnectDelay()
+      return;
+    }
+
+    onOpen();
+    (items || []).forEach((n) => publish({ type: 'notification', data: n }));
+
+    // A server that answers straight away with nothing would otherwise be hit in a tight loop
+    const elapsed = Date.now() - startedAt;
+    emptyPolls = items?.length || elapsed >= R.pollMinInterval ? 0 : emptyPolls + 1;
+    const pause = emptyPolls
+      ? Math.min(R.pollMinInterval * 2 ** emptyPolls, R.reconnect.maxDelay)
+      : R.pollMinInterval - elapsed;
+    if (pause > 0) await sleep(pause);
+  }
+}
+
+// ─── Startup ─────────────────────────────────────────────────
+function start() {
+  if (started) return;
+  started = true;
+
+  if ('BroadcastChannel' in window && navigator.locks) {
+    channel = new BroadcastChannel(R.channelName);
+    channel.onmessage = (e) => dispatch(e.data);
+
+    // Held for the lifetime of the tab — the pending promise keeps the lock
+    navigator.locks.request(R.lockName, () => {
+      connect();
+      return new Promise(() => {});
+    });
+  } else {
+    connect();
+  }
+}
+
+// ─── Public API ──────────────────────────────────────────────
+/**
+ * Subscribes to a realtime event type. Opens (or joins) the shared
+ * connection on first use.
+ *
+ * @param {string}   type    - e.g. 'notification', 'resync'
+ * @param {Function} handler - Receives the event's `data`.
+ * @returns {Function} Unsubscribe.
+ */
+export function onRealtime(type, handler) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(handler);
+  start();
+  return () => listeners.get(type).delete(handler);
+}
@@ -2,7 +2,16 @@
  * settings-component.js — User Settings Page
  * Alpine `settingsPage` data component.
  * ──────────────────────────────────────────────────────────────
- * Handles: Profile editing (name, email), Stripe billing portal.
+ * Handles: Profile editing (name, email), Stripe billing portal,
+ *          subscription tiers (plan tab + the creator's tier editor),
+ *          notification preferences (per-type channels + quiet hours),
+ *          Web Push opt-in (push.js), engagement tracking consent
+ *          (consent.js), and data export / account deletion
+ *          (privacy.js).
+ *
+ * TIERS:   Fans subscribe to a tier through Checkout; changing tier
+ *          goes through the billing portal with the target `tier_id`
+ *          so Stripe handles proration.
  *
  * SECURITY: All requests use JWE token. Stripe portal session is
  *           created server-side — no Stripe keys exposed.
@@ -14,7 +23,23 @@
 
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
 import { API } from './api.js';
-import { AUTH_CONFIG, SETTINGS_CONFIG } from './config.js';
+import {
+  AUTH_CONFIG,
+  CHECKOUT_CONFIG,
+  NOTIFICATION_CONFIG,
+  PRIVACY_CONFIG,
+  SETTINGS_CONFIG,
+  TIERS_CONFIG,
+} from './config.js';
+import { normalizePrefs } from './notification-prefs.js';
+import { getTiers, getUserTier } from './tiers.js';
+import { getStoredPromo } from './promo.js';
+import { quoteCheckout, describeQuote } from './checkout.js';
+import { hasConsent, setConsent } from './consent.js';
+import { creatorRoute } from './creator.js';
+import { deleteMyAccount, downloadMyData } from './privacy.js';
+import { formatPrice } from './utils.js';
+import { getPushState, subscribePush, unsubscribePush } from './push.js';
 
 export function registerSettingsPage() {
   Alpine.data('settingsPage', () => ({
@@ -22,24 +47,48 @@ export function registerSettingsPage() {
     user: null,
     name: '',
     email: '',
+    prefs: normalizePrefs(null),
+    _savedPrefs: '',           // JSON snapshot for the dirty check
+    pushState: 'unsupported',  // 'unsupported' | 'denied' | 'subscribed' | 'unsubscribed'
+    tiers: [],                 // Active creator's tiers, lowest first
+    targetTierId: null,        // ?tier= from a "Requires Gold" paywall
+    tierDrafts: [],            // Creator's tier editor rows (price in dollars)
+    analyticsConsent: false,   // Engagement tracking opt-in (off until chosen)
+    deleteStep: 'idle',        // 'idle' | 'confirm' | 'deleting'
+    deleteConfirmText: '',     // Must equal PRIVACY_CONFIG.deleteConfirmText
+    checkout: null,            // Quoted tier awaiting confirmation: { tier, session, message, promoError, btnText }
 
     // Loading
     isPortalLoading: false,
     isNameLoading: false,
     isEmailLoading: false,
+    isPrefsLoading: false,
+    isPushLoading: false,
+    isTiersLoading: false,
+    isConsentLoading: false,
+    isExportLoading: false,
 
     // Success feedback
     nameSuccess: false,
     emailSuccess: false,
+    prefsSuccess: false,
+    tiersSuccess: false,
 
     // Errors
     nameError: '',
     emailError: '',
     portalError: '',
+    prefsError: '',
+    pushError: '',
+    tiersError: '',
+    consentError: '',
+    exportError: '',
+    deleteError: '',
 
     // ── Lifecycle ────────────────────────────────────────
     init() {
       this._pollForUser();
+      getPushState().then((state) => (this.pushState = state));
     },
 
     /**
@@ -56,6 +105,10 @@ export function registerSettingsPage() {
           this.user = window.currentUser;
           this.name = this.user.name || '';
           this.email = this.user.email || '';
+          this.prefs = normalizePrefs(this.user.notification_prefs);
+          this._savedPrefs = JSON.stringify(this.prefs);
+          this.analyticsConsent = hasConsent('analytics');
+          this._loadTiers();
         } else if (attempts < MAX_ATTEMPTS) {
           attempts++;
           setTimeout(check, 100);
@@ -67,12 +120,36 @@ export function registerSettingsPage() {
       check();
     },
 
+    /** Tiers from the creator profile AuthManager loaded. */
+    _loadTiers() {
+      this.tiers = getTiers(window.creatorProfile);
+      this.tierDrafts = (window.creatorProfile?.tiers?.length ? this.tiers : []).map((t) => ({
+        id:       t.id,
+        name:     t.name,
+        price:    (t.price / 100).toFixed(2),
+        benefits: (t.benefits || []).join('\n'),
+      }));
+
+      const target = parseInt(new URLSearchParams(window.location.search).get(TIERS_CONFIG.planParam), 10);
+      this.targetTierId = this.tiers.some((t) => t.id === target) ? target : null;
+    },
+
     // ── Computed Getters ─────────────────────────────────
+    /** True for the owner of the active creator profile. */
+    get isCreatorOwner() {
+      return !!this.user && this.user.id === window.creatorProfile?.user_id;
+    },
+
+    /** Tier the user subscribes at, or null. */
+    get currentTier() {
+      return getUserTier(this.user, this.tiers);
+    },
+
     get shouldShowPortalButton() {
       return (
         this.user &&
         this.user.subscribed &&
-        this.user.id !== SETTINGS_CONFIG.creatorUserId
+        this.user.id !== window.creatorProfile?.user_id
       );
     },
 
@@ -92,8 +169,26 @@ export function registerSettingsPage() {
       );
     },
 
+    /** Rows for the preferences table: `[{ type, label }]` */
+    get prefTypes() {
+      return Object.entries(NOTIFICATION_CONFIG.preferences.types)
+        .map(([type, label]) => ({ type, label }));
+    },
+
+    get prefChannels() {
+      return NOTIFICATION_CONFIG.preferences.channels;
+    },
+
+    get isPrefsButtonDisabled() {
+      return this.isPrefsLoading || JSON.stringify(this.prefs) === this._savedPrefs;
+    },
+
     // ── Stripe Billing Portal ────────────────────────────
-    async openBillingPortal() {
+    /**
+     * @param {object} [tier] - Upgrade/downgrade target; the portal
+     *   opens straight on the plan-change confirmation for it.
+     */
+    async openBillingPortal(tier = null) {
       if (this.isPortalLoading) return;
 
       this.isPortalLoading = true;
@@ -102,6 +197,7 @@ export function registerSettingsPage() {
       try {
         const url = await API.checkout
           .post('create_portal_session', {
+            json: tier ? { tier_id: tier.id } : {},
             timeout: SETTINGS_CONFIG.requestTimeout,
           })
           .json();
@@ -118,6 +214,147 @@ export function registerSettingsPage() {
       }
     },
 
+    // ── Subscription Tiers ───────────────────────────────
+    formatPrice,
+
+    /** Plan tab button: subscribe, or change tier via the portal. */
+    selectTier(tier) {
+      if (this.currentTier?.id === tier.id) return;
+      return this.user?.subscribed ? this.openBillingPortal(tier) : this.subscribeToTier(tier);
+    },
+
+    /**
+     * Quotes the tier with the remembered promo code (campaign link, if
+     * any) so the real price shows before Stripe. A code the server
+     * rejects is dropped and the tier quoted at full price.
+     */
+    async subscribeToTier(tier) {
+      if (this.isPortalLoading) return;
+
+      this.isPortalLoading = true;
+      this.portalError = '';
+      this.checkout = null;
+
+      const session = { price_id: tier.stripe_price_id, tier_id: tier.id, mode: 'subscription' };
+      try {
+        const { quote, promoCode, promoError } = await quoteCheckout(session, getStoredPromo());
+        this.checkout = {
+          tier,
+          session:  { ...session, promo_code: promoCode },
+          message:  describeQuote(quote),
+          promoError,
+          btnText:  quote.trial_days > 0 ? 'Start free trial' : 'Continue to payment',
+        };
+      } catch (error) {
+        console.error('[Settings] Checkout quote failed:', error);
+        this.portalError = 'Failed to start checkout. Please try again.';
+      } finally {
+        this.isPortalLoading = false;
+      }
+    },
+
+    cancelCheckout() {
+      this.checkout = null;
+    },
+
+    /** Confirm button under the quote: creates the session and redirects. */
+    async confirmCheckout() {
+      if (this.isPortalLoading || !this.checkout) return;
+
+      this.isPortalLoading = true;
+      this.portalError = '';
+
+      try {
+        const res = await API.checkout
+          .post(CHECKOUT_CONFIG.endpoints.subscription, {
+            json: this.checkout.session,
+            timeout: SETTINGS_CONFIG.requestTimeout,
+          })
+          .json();
+
+        if (res.url) {
+          window.location.href = res.url;
+        } else {
+          throw new Error('No checkout URL returned');
+        }
+      } catch (error) {
+        console.error('[Settings] Checkout creation failed:', error);
+        this.portalError = 'Failed to start checkout. Please try again.';
+        this.isPortalLoading = false;
+      }
+    },
+
+    // ── Creator: Tier Editor ─────────────────────────────
+    addTier() {
+      if (this.tierDrafts.length >= TIERS_CONFIG.maxTiers) return;
+      this.tierDrafts.push({ id: null, name: '', price: '', benefits: '' });
+    },
+
+    removeTier(index) {
+      this.tierDrafts.splice(index, 1);
+    },
+
+    /** Rank follows list order, so moving a row re-ranks it. */
+    moveTier(index, delta) {
+      const to = index + delta;
+      if (to < 0 || to >= this.tierDrafts.length) return;
+      const [row] = this.tierDrafts.splice(index, 1);
+      this.tierDrafts.splice(to, 0, row);
+    },
+
+    async saveTiers() {
+      if (this.isTiersLoading) return;
+
+      const { minPrice, maxPrice } = TIERS_CONFIG;
+      const tiers = this.tierDrafts.map((row, rank) => ({
+        id:       row.id,
+        name:     row.name.trim(),
+        rank,
+        price:    Math.round(Number(row.price) * 100),
+        benefits: row.benefits.split('\n').map((b) => b.trim()).filter(Boolean),
+      }));
+
+      if (tiers.some((t) => !t.name)) {
+        this.tiersError = 'Every tier needs a name.';
+        return;
+      }
+      if (tiers.some((t) => !(t.price >= minPrice * 100 && t.price <= maxPrice * 100))) {
+        this.tiersError = `Prices must be between ${formatPrice(minPrice * 100)} and ${formatPrice(maxPrice * 100)}.`;
+        return;
+      }
+
+      this.isTiersLoading = true;
+      this.tiersError = '';
+      this.tiersSuccess = false;
+
+      try {
+        // Server creates/updates the Stripe prices and returns the saved tiers
+        const saved = await API.admin
+          .post(TIERS_CONFIG.endpoints.save, {
+            json: { tiers },
+            timeout: SETTINGS_CONFIG.requestTimeout,
+          })
+          .json();
+
+        if (window.creatorProfile) window.creatorProfile.tiers = saved;
+        const storedCreator = JSON.parse(localStorage.getItem(AUTH_CONFIG.storage.creatorData) || '{}');
+        localStorage.setItem(
+          AUTH_CONFIG.storage.creatorData,
+          JSON.stringify({ ...storedCreator, tiers: saved }),
+        );
+        this._loadTiers();
+
+        this.tiersSuccess = true;
+        setTimeout(() => {
+          this.tiersSuccess = false;
+        }, SETTINGS_CONFIG.successFeedbackDuration);
+      } catch (error) {
+        this.tiersError = await this._parseError(error, 'Failed to save tiers');
+      } finally {
+        this.isTiersLoading = false;
+      }
+    },
+
     // ── Profile: Update Name ─────────────────────────────
     async updateName() {
       if (this.isNameButtonDisabled) return;
@@ -176,6 +413,165 @@ export function registerSettingsPage() {
       }
     },
 
+    // ── Notification Preferences ─────────────────────────
+    togglePref(type, channel) {
+      this.prefs.types[type][channel] = !this.prefs.types[type][channel];
+    },
+
+    async savePrefs() {
+      if (this.isPrefsButtonDisabled) return;
+
+      this.isPrefsLoading = true;
+      this.prefsError = '';
+      this.prefsSuccess = false;
+
+      // Quiet hours are evaluated server-side in the user's own zone
+      const prefs = {
+        ...this.prefs,
+        quiet_hours: {
+          ...this.prefs.quiet_hours,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        },
+      };
+
+      try {
+        await API.profile
+          .post('user/edit_profile', {
+            json: { notification_prefs: prefs },
+            timeout: SETTINGS_CONFIG.requestTimeout,
+          })
+          .json();
+
+        this._syncGlobalUser({ notification_prefs: prefs });
+        this.prefs = normalizePrefs(prefs);
+        this._savedPrefs = JSON.stringify(this.prefs);
+
+        // Drop newly muted types from the open drawer right away
+        window.notificationManager?.refresh();
+
+        this.prefsSuccess = true;
+        setTimeout(() => {
+          this.prefsSuccess = false;
+        }, SETTINGS_CONFIG.successFeedbackDuration);
+      } catch (error) {
+        this.prefsError = await this._parseError(error, 'Failed to save preferences');
+      } finally {
+        this.isPrefsLoading = false;
+      }
+    },
+
+    // ── Engagement Tracking Consent ──────────────────────
+    /**
+     * Saves immediately; bound to a toggle. The choice applies to this
+     * device even if the account sync fails (see consent.js).
+     */
+    async toggleAnalyticsConsent() {
+      if (this.isConsentLoading) return;
+
+      const next = !this.analyticsConsent;
+      this.analyticsConsent = next;
+      this.isConsentLoading = true;
+      this.consentError = '';
+
+      try {
+        await setConsent({ analytics: next });
+      } catch (error) {
+        this.consentError = await this._parseError(error, 'Saved on this device, but failed to sync to your account');
+      } finally {
+        this.isConsentLoading = false;
+      }
+    },
+
+    // ── Your Data (GDPR) ─────────────────────────────────
+    async downloadData() {
+      if (this.isExportLoading) return;
+
+      this.isExportLoading = true;
+      this.exportError = '';
+
+      try {
+        await downloadMyData();
+      } catch (error) {
+        console.error('[Settings] Data export failed:', error);
+        this.exportError = await this._parseError(error, 'Failed to export your data');
+      } finally {
+        this.isExportLoading = false;
+      }
+    },
+
+    startDelete() {
+      this.deleteStep = 'confirm';
+      this.deleteConfirmText = '';
+      this.deleteError = '';
+    },
+
+    cancelDelete() {
+      if (this.deleteStep === 'deleting') return;
+      this.deleteStep = 'idle';
+      this.deleteConfirmText = '';
+      this.deleteError = '';
+    },
+
+    get canConfirmDelete() {
+      return this.deleteConfirmText.trim() === PRIVACY_CONFIG.deleteConfirmText;
+    },
+
+    async confirmDelete() {
+      if (this.deleteStep !== 'confirm') return;
+      if (!this.canConfirmDelete) {
+        this.deleteError = `Type ${PRIVACY_CONFIG.deleteConfirmText} to confirm.`;
+        return;
+      }
+
+      this.deleteStep = 'deleting';
+      this.deleteError = '';
+
+      try {
+        await deleteMyAccount();
+        window.location.href = creatorRoute(AUTH_CONFIG.routes.login);
+      } catch (error) {
+        this.deleteStep = 'confirm';
+        this.deleteError = await this._parseError(error, 'Failed to delete your account');
+      }
+    },
+
+    // ── Web Push ─────────────────────────────────────────
+    /** Bound to a click — Safari only shows the permission prompt from a gesture. */
+    async enablePush() {
+      if (this.isPushLoading) return;
+
+      this.isPushLoading = true;
+      this.pushError = '';
+
+      try {
+        this.pushState = await subscribePush();
+        if (this.pushState === 'denied') {
+          this.pushError = 'Notifications are blocked. Allow them in your browser settings.';
+        }
+      } catch (error) {
+        console.error('[Settings] Push subscribe failed:', error);
+        this.pushError = await this._parseError(error, 'Failed to enable push notifications');
+      } finally {
+        this.isPushLoading = false;
+      }
+    },
+
+    async disablePush() {
+      if (this.isPushLoading) return;
+
+      this.isPushLoading = true;
+      this.pushError = '';
+
+      try {
+        this.pushState = await unsubscribePush();
+      } catch (error) {
+        console.error('[Settings] Push unsubscribe failed:', error);
+        this.pushState = await getPushState();
+      } finally {
+        this.isPushLoading = false;
+      }
+    },
+
     // ── Helpers ───────────────────────────────────────────
 
     /**
@@ -9,6 +9,7 @@
 
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
 import { API } from './api.js';
+import { capturePromoFromUrl, getStoredPromo } from './promo.js';
 
 export function registerSignupForm() {
   Alpine.data('signupForm', () => ({
@@ -24,6 +25,8 @@ export function registerSignupForm() {
 
     // ── Lifecycle ────────────────────────────────────────
     init() {
+      capturePromoFromUrl();
+
       if (this.$refs.submitButton) {
         this.$refs.submitButton.addEventListener('click', (e) => {
           e.preventDefault();
@@ -62,7 +65,10 @@ export function registerSignupForm() {
       try {
         // 3. Signup via Xano (unauthenticated endpoint)
         await API.auth
-          .post('auth/signup', { json: { name: this.name, email: this.email } })
+          .post('auth/signup', {
+            // Server attaches the campaign to the account and the magic link
+            json: { name: this.name, email: this.email, promo_code: getStoredPromo() || undefined },
+          })
           .json();
 
         this.status = 'success';
@@ -20,6 +20,8 @@
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
 import { API } from './api.js';
 import { AUTH_CONFIG } from './config.js';
+import { creatorRoute } from './creator.js';
+import { capturePromoFromUrl, getStoredPromo } from './promo.js';
 
 export function registerSignupPasswordForm() {
   Alpine.data('signupForm', () => ({
@@ -37,6 +39,8 @@ export function registerSignupPasswordForm() {
 
     // ── Lifecycle ────────────────────────────────────────
     init() {
+      capturePromoFromUrl();
+
       if (this.$refs.submitButton) {
         this.$refs.submitButton.addEventListener('click', (e) => {
           e.preventDefault();
@@ -87,6 +91,7 @@ export function registerSignupPasswordForm() {
               name: this.name,
               email: this.email,
               password: this.password,
+              promo_code: getStoredPromo() || undefined,
             },
           })
           .json();
@@ -123,7 +128,7 @@ export function registerSignupPasswordForm() {
 
         // 7. Redirect to feed
         this.status = 'success';
-        window.location.href = AUTH_CONFIG.routes.feed;
+        window.location.href = creatorRoute(AUTH_CONFIG.routes.feed);
       } catch (error) {
         this.status = 'error';
 
@@ -3,9 +3,17 @@
  * Shared state for comment input and lightbox.
  * ──────────────────────────────────────────────────────────────
  * Registered during `alpine:init` event, before Alpine.start().
+ *
+ * GALLERY: The lightbox is a carousel over getPostMedia(post).
+ *          Single-file posts are simply a one-slide carousel.
  */
 
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
+import { getPostMedia, isUnlockRequired } from './utils.js';
+import { trackEvent } from './tracking.js';
+
+/** Minimum horizontal travel (px) for a swipe to change slides. */
+const SWIPE_THRESHOLD = 50;
 
 export function registerStores() {
   // ── Comment Input Store ────────────────────────────────
@@ -27,6 +35,9 @@ export function registerStores() {
       type:   '',
       post:   null,
       player: null,
+      media:  [],     // All slides of the open post
+      index:  0,      // Current slide
+      touchX: null,   // Swipe start position
     },
 
     /**
@@ -35,23 +46,82 @@ export function registerStores() {
      * @param {object}  post       - The post object.
      * @param {Map}     playersMap - Map of feed player instances.
      * @param {object}  appRef     - The Alpine `app` component data.
+     * @param {number}  [index]    - Slide to open (defaults to the feed card's slide).
      */
-    async openLightbox(post, playersMap, appRef) {
-      if (post.paid && !appRef.user.subscribed) {
-        appRef.triggerError('subscription');
+    async openLightbox(post, playersMap, appRef, index = post.slideIndex || 0) {
+      // Pay-per-view: the card's "Unlock" button is the way in
+      if (isUnlockRequired(post)) return;
+
+      // Tier check: the user's tier rank must reach the post's
+      if (appRef.isTierLocked(post)) {
+        appRef.openTierGate(post);
         return;
       }
 
       appRef.pauseAllPlayers();
+      trackEvent('lightbox_open', post.id, { surface: 'lightbox', slide: index });
 
-      this.lightbox.type = post.content_type;
-      this.lightbox.url = post.display_url;
+      this.lightbox.media = getPostMedia(post);
       this.lightbox.post = post;
+      this._showSlide(index);
       this.lightbox.show = true;
       document.body.style.overflow = 'hidden';
 
       await appRef.openComments(post, true);
-      if (post.content_type === 'video') appRef.initLightboxPlayer();
+      if (this.lightbox.type === 'video') appRef.initLightboxPlayer();
+    },
+
+    // ── Carousel ─────────────────────────────────────────
+    /** Points url/type at slide `index` (clamped to the media range). */
+    _showSlide(index) {
+      const last = this.lightbox.media.length - 1;
+      this.lightbox.index = Math.min(Math.max(index, 0), last);
+      const item = this.lightbox.media[this.lightbox.index];
+      this.lightbox.type = item.content_type;
+      this.lightbox.url = item.display_url;
+    },
+
+    /**
+     * Switches the lightbox to another slide, swapping the video
+     * player when needed. Used by the position dots and arrows.
+     *
+     * @param {number} index  - Target slide.
+     * @param {object} appRef - The Alpine `app` component data.
+     */
+    goToSlide(index, appRef) {
+      if (index < 0 || index >= this.lightbox.media.length || index === this.lightbox.index) return;
+
+      if (this.lightbox.player) {
+        this.lightbox.player.destroy();
+        this.lightbox.player = null;
+      }
+
+      this._showSlide(index);
+      if (this.lightbox.post) this.lightbox.post.slideIndex = index;
+      if (this.lightbox.type === 'video') appRef.initLightboxPlayer();
+    },
+
+    nextSlide(appRef) {
+      this.goToSlide(this.lightbox.index + 1, appRef);
+    },
+
+    prevSlide(appRef) {
+      this.goToSlide(this.lightbox.index - 1, appRef);
+    },
+
+    // Webflow: @touchstart="$store.app.onTouchStart($event)"
+    //          @touchend="$store.app.onTouchEnd($event, $data)"
+    onTouchStart(e) {
+      this.lightbox.touchX = e.changedTouches[0].clientX;
+    },
+
+    onTouchEnd(e, appRef) {
+      if (this.lightbox.touchX === null) return;
+      const dx = e.changedTouches[0].clientX - this.lightbox.touchX;
+      this.lightbox.touchX = null;
+
+      if (Math.abs(dx) < SWIPE_THRESHOLD) return;
+      dx < 0 ? this.nextSlide(appRef) : this.prevSlide(appRef);
     },
 
     /**
@@ -73,6 +143,8 @@ export function registerStores() {
       }
 
       this.lightbox.show = false;
+      this.lightbox.media = [];
+      this.lightbox.index = 0;
       document.body.style.overflow = '';
     },
   });
@@ -0,0 +1,114 @@
+/**
+ * sw.js — Service Worker (Web Push)
+ * Shows OS notifications for pushed events and opens the matching
+ * page when one is clicked.
+ * ──────────────────────────────────────────────────────────────
+ * HOSTING: Must be served from the site's own origin at
+ *          PUSH_CONFIG.serviceWorkerUrl (/sw.js) — e.g. via a proxy
+ *          rule. Service workers cannot be loaded from a CDN origin.
+ *
+ * CLASSIC SCRIPT: Module service workers are not supported in older
+ *                 Safari/Firefox, so nothing is imported. The type
+ *                 table below mirrors HANDLERS in notifications.js and
+ *                 the routes in NOTIFICATION_CONFIG — keep them in sync.
+ *
+ * PRIVACY: Post media is never attached — OS notifications can show
+ *          on a lock screen.
+ *
+ * Payload (JSON, same shape as a drawer notification):
+ *   { id, notification_type, notification_text, _user: { name, avatar_url },
+ *     related_content_list_id, related_comment_id,
+ *     path_prefix }   ← '/@slug' for path-mode creators, else ''
+ */
+
+const ROUTES = {
+  feed:     '/membership/feed',
+  messages: '/messages',
+};
+
+// type → deep-link target ('content' uses ?content_id=&comment_id=)
+const TYPES = {
+  creator_new_tip:       'content',
+  creator_new_follower:  'feed',
+  post_like:             'content',
+  comment_like:          'content',
+  creator_comment_reply: 'content',
+  creator_new_comment:   'content',
+  new_message:           'messages',
+  comment_reply:         'content',
+  new_post:              'content',
+};
+
+// Likes on the same target replace each other instead of stacking
+const GROUPED = {
+  post_like:    'related_content_list_id',
+  comment_like: 'related_comment_id',
+};
+
+// ─── Helpers ─────────────────────────────────────────────────
+function urlFor(data) {
+  const prefix = data.path_prefix || '';
+  const target = TYPES[data.notification_type] || 'feed';
+
+  if (target === 'content' && data.related_content_list_id) {
+    let url = `${prefix}${ROUTES.feed}?content_id=${data.related_content_list_id}`;
+    if (data.related_comment_id) url += `&comment_id=${data.related_comment_id}`;
+    return url;
+  }
+  return `${prefix}${ROUTES[target] || ROUTES.feed}`;
+}
+
+function tagFor(data) {
+  const field = GROUPED[data.notification_type];
+  return field && data[field] ? `${data.notification_type}:${data[field]}` : `id:${data.id}`;
+}
+
+// ─── Lifecycle ───────────────────────────────────────────────
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+// ─── Push → OS Notification ──────────────────────────────────
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { notification_text: event.data?.text() };
+  }
+
+  const name = data._user?.name || 'Someone';
+  const body = data.notification_text ? `${name} ${data.notification_text}` : 'You have a new notification';
+
+  // userVisibleOnly: every push must show a notification, even unknown types
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'New notification', {
+      body,
+      icon:     data._user?.avatar_url || undefined,
+      tag:      tagFor(data),
+      renotify: true,
+      data:     { url: urlFor(data) },
+    }),
+  );
+});
+
+// ─── Click → Deep Link ───────────────────────────────────────
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || ROUTES.feed, self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    // Reuse an open tab on this site (navigate so _handleDeepLink runs)
+    const client = windows.find((c) => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      try {
+        await client.focus();
+        return await client.navigate(url);
+      } catch {
+        // navigate() rejects for tabs this worker doesn't control
+      }
+    }
+    return self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,47 @@
+/**
+ * tiers.js — Subscription Tiers
+ * Resolves a creator's tiers, the tier a user subscribes at, and the
+ * minimum tier a post requires.
+ * ──────────────────────────────────────────────────────────────
+ * RANKS: Access is by rank, so a Gold subscriber sees Silver posts.
+ *
+ * LEGACY: Creators without tiers get TIERS_CONFIG.defaultTier, posts
+ *         with only `paid: true` require the lowest tier, and users
+ *         with only `subscribed: true` hold the lowest tier — so the
+ *         old Paid/Free behaviour is unchanged.
+ */
+
+import { TIERS_CONFIG } from './config.js';
+
+/** A creator's tiers, lowest rank first. */
+export function getTiers(creator) {
+  const tiers = Array.isArray(creator?.tiers) ? creator.tiers : [];
+  if (tiers.length === 0) return [TIERS_CONFIG.defaultTier];
+  return [...tiers].sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Tier a user holds with the active creator, or null.
+ *
+ * @param {object} user  - Normalized user (`subscribed`, `tier_id`).
+ * @param {object[]} tiers - From getTiers().
+ */
+export function getUserTier(user, tiers) {
+  if (!user?.subscribed) return null;
+  return tiers.find((t) => t.id === user.tier_id) || tiers[0];
+}
+
+/** Minimum tier a post requires, or null for free posts. */
+export function getRequiredTier(post, tiers) {
+  if (post?.tier_id) return tiers.find((t) => t.id === post.tier_id) || tiers[0];
+  return post?.paid ? tiers[0] : null;
+}
+
+/** True when the user's tier is below the post's (and it wasn't bought). */
+export function isTierLocked(post, user, tiers) {
+  const required = getRequiredTier(post, tiers);
+  if (!required || post.unlocked) return false;
+
+  const held = getUserTier(user, tiers);
+  return !held || held.rank < required.rank;
+}
@@ -0,0 +1,230 @@
+/**
+ * tracking.js — Engagement Tracking
+ * Batched collector for impressions, dwell time, video quartiles,
+ * mute/unmute and lightbox opens, per post.
+ * ──────────────────────────────────────────────────────────────
+ * CONSENT: Nothing is queued or sent unless the user opted in to
+ *          analytics (consent banner or settings page — consent.js).
+ *          Opting out drops anything still queued.
+ *
+ * DELIVERY: Events are batched and flushed with navigator.sendBeacon
+ *           when the tab is hidden (visibilitychange), when the batch
+ *           fills, and on a timer. Beacons can't carry headers, so the
+ *           payload has a per-tab session id + creator id, no token.
+ *           The body is JSON sent as text/plain: the only CORS-safelisted
+ *           type a cross-origin beacon may carry.
+ *
+ * Event shape: { type, content_id, surface, at, ...detail }
+ *   impression | dwell { ms } | video_start | video_quartile { quartile }
+ *   | mute | unmute | lightbox_open
+ */
+
+import { TRACKING_CONFIG } from './config.js';
+import { hasConsent } from './consent.js';
+import { getCreatorContext } from './creator.js';
+
+// ─── Module State ────────────────────────────────────────────
+let queue = [];
+let flushTimer = null;
+let listening = false;
+
+const seen = new Set();                 // content ids with an impression this page view
+const visibleSince = new Map();         // content id → ms timestamp (for dwell)
+const observedEls = new WeakSet();
+let impressionObserver = null;
+
+// ─── Consent ─────────────────────────────────────────────────
+/** True only when the user explicitly opted in (see consent.js). */
+export function hasTrackingConsent() {
+  return hasConsent('analytics');
+}
+
+window.addEventListener('consent:change', (e) => {
+  if (!e.detail?.analytics) clearTracking();
+});
+
+function sessionId() {
+  let id = sessionStorage.getItem(TRACKING_CONFIG.sessionKey);
+  if (!id) {
+    id = crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    sessionStorage.setItem(TRACKING_CONFIG.sessionKey, id);
+  }
+  return id;
+}
+
+// ─── Queue + Flush ───────────────────────────────────────────
+/**
+ * Records one event (dropped without consent).
+ *
+ * @param {string} type
+ * @param {number} contentId
+ * @param {object} [detail] - Extra fields, e.g. { surface: 'lightbox' }.
+ */
+export function trackEvent(type, contentId, detail = {}) {
+  if (!contentId || !hasTrackingConsent()) return;
+
+  queue.push({ type, content_id: contentId, surface: 'feed', at: Date.now(), ...detail });
+  _listen();
+
+  if (queue.length >= TRACKING_CONFIG.batchSize) flush();
+  else if (!flushTimer) flushTimer = setTimeout(flush, TRACKING_CONFIG.flushInterval);
+}
+
+/** Sends the queue. Safe to call from unload-time handlers. */
+export function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (queue.length === 0) return;
+
+  if (!hasTrackingConsent()) {
+    queue = [];
+    return;
+  }
+
+  const body = JSON.stringify({
+    session_id: sessionId(),
+    creator_id: getCreatorContext().id,
+    events:     queue,
+  });
+  const type = 'text/plain;charset=UTF-8';
+
+  let beaconed = false;
+  try {
+    beaconed = navigator.sendBeacon?.(TRACKING_CONFIG.endpoint, new Blob([body], { type })) === true;
+  } catch (err) {
+    console.warn('[Tracking] Beacon failed:', err);
+  }
+
+  if (!beaconed) {
+    // Beacon unavailable, refused (payload limit) or threw — best effort
+    fetch(TRACKING_CONFIG.endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': type } })
+      .catch(() => {});
+  }
+
+  // Only now — the batch has been handed to the beacon or fetch
+  queue = [];
+}
+
+/** Drops queued events (consent withdrawn). */
+export function clearTracking() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  queue = [];
+}
+
+function _listen() {
+  if (listening) return;
+  listening = true;
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      _closeDwell();
+      flush();
+    } else {
+      // Cards still on screen start a new dwell period
+      const now = Date.now();
+      visibleSince.forEach((_, id) => visibleSince.set(id, now));
+    }
+  });
+  window.addEventListener('pagehide', () => {
+    _closeDwell();
+    flush();
+  });
+}
+
+// ─── Impressions + Dwell ─────────────────────────────────────
+/**
+ * Watches a post card: one `impression` per page view once it's
+ * `impressionThreshold` visible, plus `dwell` for each visible period.
+ *
+ * @param {HTMLElement} el
+ * @param {number} contentId
+ */
+export function observeImpression(el, contentId) {
+  if (!el || observedEls.has(el) || !hasTrackingConsent()) return;
+  observedEls.add(el);
+
+  impressionObserver ??= new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      const id = Number(entry.target.dataset.trackPost);
+      if (entry.isIntersecting) {
+        if (!seen.has(id)) {
+          seen.add(id);
+          trackEvent('impression', id);
+        }
+        visibleSince.set(id, Date.now());
+      } else {
+        _endDwell(id);
+      }
+    });
+  }, { threshold: TRACKING_CONFIG.impressionThreshold });
+
+  el.dataset.trackPost = contentId;
+  impressionObserver.observe(el);
+}
+
+function _endDwell(id) {
+  const since = visibleSince.get(id);
+  visibleSince.delete(id);
+  if (since === undefined) return;
+
+  const ms = Date.now() - since;
+  if (ms >= TRACKING_CONFIG.minDwell) trackEvent('dwell', id, { ms });
+}
+
+/** Reports dwell for everything on screen (keeps the cards tracked). */
+function _closeDwell() {
+  const ids = [...visibleSince.keys()];
+  ids.forEach((id) => {
+    _endDwell(id);
+    visibleSince.set(id, Date.now());
+  });
+}
+
+// ─── Video ───────────────────────────────────────────────────
+/**
+ * Reports `video_start` and each quartile (once per player) from a
+ * Plyr instance. Mute changes are reported for players with user
+ * controls (`trackMute`) — the feed reports its own mute button.
+ *
+ * @param {Plyr}   player
+ * @param {number} contentId
+ * @param {object} [opts]
+ * @param {'feed'|'lightbox'} [opts.surface]
+ * @param {boolean} [opts.trackMute]
+ */
+export function trackVideo(player, contentId, { surface = 'feed', trackMute = false } = {}) {
+  const reached = new Set();
+  let started = false;
+  let wasMuted = player.muted;
+
+  player.on('play', () => {
+    if (started) return;
+    started = true;
+    trackEvent('video_start', contentId, { surface });
+  });
+
+  player.on('timeupdate', () => {
+    const { currentTime, duration } = player;
+    if (!duration) return;
+
+    const pct = (currentTime / duration) * 100;
+    TRACKING_CONFIG.quartiles.forEach((q) => {
+      // Looping feed videos never report exactly 100% — count the last second
+      const hit = q === 100 ? duration - currentTime < 1 : pct >= q;
+      if (hit && !reached.has(q)) {
+        reached.add(q);
+        trackEvent('video_quartile', contentId, { surface, quartile: q });
+      }
+    });
+  });
+
+  if (trackMute) {
+    player.on('volumechange', () => {
+      const muted = player.muted || player.volume === 0;
+      if (muted === wasMuted) return;
+      wasMuted = muted;
+      trackEvent(muted ? 'mute' : 'unmute', contentId, { surface });
+    });
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * upload.js — Resumable Chunked Uploads
+ * Splits a file into chunks, reports byte-level progress, survives
+ * dropped connections and page reloads, and can be cancelled.
+ * ──────────────────────────────────────────────────────────────
+ * PROTOCOL (Xano, see UPLOAD_CONFIG.endpoints):
+ *   1. start    { file_name, file_size, mime_type, chunk_size } → { upload_id }
+ *   2. chunk    FormData { upload_id, index, chunk }            (per chunk)
+ *   3. status   ?upload_id=                                     → { received: [index] }
+ *   4. complete { upload_id }                                   → assembled file
+ *   The finished `upload_id` is then passed to the content/avatar endpoint.
+ *
+ * RESUME: The session is kept in localStorage keyed by the file's
+ *         name/size/mtime. Re-selecting the same file after a reload
+ *         asks `status` which chunks arrived and sends only the rest.
+ *
+ * SAFARI: Chunks go through XHR — fetch() has no upload progress
+ *         events in Safari or Firefox. XHR skips ky's 401 hook, so a
+ *         401 on a chunk refreshes the token (renewSession) and resends.
+ */
+
+import { authenticatedKy, renewSession } from './api.js';
+import { AUTH_CONFIG, UPLOAD_CONFIG } from './config.js';
+
+const SESSION_PREFIX = 'upload_session:';
+const E = UPLOAD_CONFIG.endpoints;
+
+// ─── Session Persistence ─────────────────────────────────────
+function fingerprint(file) {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function loadSession(fp) {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_PREFIX + fp));
+    if (session && Date.now() - session.createdAt < UPLOAD_CONFIG.sessionTTL) return session;
+  } catch {
+    // Corrupt entry — start over
+  }
+  localStorage.removeItem(SESSION_PREFIX + fp);
+  return null;
+}
+
+function saveSession(fp, session) {
+  localStorage.setItem(SESSION_PREFIX + fp, JSON.stringify(session));
+}
+
+function clearSession(fp) {
+  localStorage.removeItem(SESSION_PREFIX + fp);
+}
+
+// ─── Waiting Helpers (abortable) ─────────────────────────────
+function abortError() {
+  return new DOMException('Upload cancelled', 'AbortError');
+}
+
+// Each helper removes the listener it didn't need, so retries don't
+// pile handlers onto the shared signal (or onto window)
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(abortError());
+    };
+    const id = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function waitForOnline(signal) {
+  return new Promise((resolve, reject) => {
+    const onOnline = () => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    const onAbort = () => {
+      window.removeEventListener('online', onOnline);
+      reject(abortError());
+    };
+    window.addEventListener('online', onOnline, { once: true });
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// ─── Chunk Transport ─────────────────────────────────────────
+function sendChunk(uploadId, index, blob, signal, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', E.chunk);
+
+    const token = localStorage.getItem(AUTH_CONFIG.storage.authToken);
+    if (token) xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+
+    // e.loaded includes multipart overhead — clamp to the chunk size
+    xhr.upload.onprogress = (e) => onProgress(Math.min(e.loaded, blob.size));
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve();
+      } else {
+        const err = new Error(`Chunk ${index} failed (${xhr.status})`);
+        err.status = xhr.status;
+        reject(err);
+      }
+    };
+    xhr.onerror = () => reject(new Error(`Chunk ${index} network error`));
+    xhr.onabort = () => reject(abortError());
+
+    // One listener per chunk on the shared signal — removed once the chunk settles
+    const onAbort = () => xhr.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    xhr.onloadend = () => signal.removeEventListener('abort', onAbort);
+
+    const fd = new FormData();
+    fd.append('upload_id', uploadId);
+    fd.append('index', index);
+    fd.append('chunk', blob);
+    xhr.send(fd);
+  });
+}
+
+/** Server errors, timeouts and rate limits are worth retrying. */
+function isRetryable(err) {
+  return !err.status || err.status >= 500 || err.status === 408 || err.status === 429;
+}
+
+// ─── Chunked Upload ──────────────────────────────────────────
+export class ChunkedUpload {
+  /**
+   * @param {File}     file
+   * @param {object}   [opts]
+   * @param {Function} [opts.onProgress] - ({ loaded, total, percent }) => void
+   */
+  constructor(file, { onProgress } = {}) {
+    this.file = file;
+    this.onProgress = onProgress || (() => {});
+    this.uploadId = null;
+    this.isCancelled = false;
+    this._fingerprint = fingerprint(file);
+    this._controller = new AbortController();
+  }
+
+  /**
+   * Uploads the file, resuming a previous session for the same file
+   * if one exists. Resolves with the completed `upload_id`.
+   * Rejects with an AbortError if cancelled.
+   */
+  async start() {
+    const { signal } = this._controller;
+    let session = loadSession(this._fingerprint);
+    let received = [];
+
+    if (session) {
+      this.uploadId = session.uploadId;
+      received = await this._fetchReceived(signal);
+      if (!received) {
+        // The server no longer has this session — start a new one
+        clearSession(this._fingerprint);
+        session = null;
+      }
+    }
+    if (!session) {
+      session = await this._createSession(signal);
+      received = [];
+    }
+    this.uploadId = session.uploadId;
+
+    const { chunkSize } = session;
+    const chunkCount = Math.max(Math.ceil(this.file.size / chunkSize), 1);
+    received = new Set(received);
+
+    let confirmed = 0;
+    received.forEach((i) => {
+      confirmed += Math.min(chunkSize, this.file.size - i * chunkSize);
+    });
+    this._report(confirmed);
+
+    for (let i = 0; i < chunkCount; i++) {
+      if (received.has(i)) continue;
+
+      const blob = this.file.slice(i * chunkSize, (i + 1) * chunkSize);
+      await this._sendWithRetry(i, blob, signal, (loaded) => this._report(confirmed + loaded));
+      confirmed += blob.size;
+      this._report(confirmed);
+    }
+
+    await authenticatedKy.post(E.complete, {
+      json:    { upload_id: this.uploadId },
+      timeout: UPLOAD_CONFIG.completeTimeout,
+      signal,
+    });
+    clearSession(this._fingerprint);
+    return this.uploadId;
+  }
+
+  /** Stops the upload and discards the server-side session. */
+  cancel() {
+    if (this.isCancelled) return;
+    this.isCancelled = true;
+    this._controller.abort();
+    clearSession(this._fingerprint);
+
+    if (this.uploadId) {
+      authenticatedKy.post(E.cancel, { json: { upload_id: this.uploadId } }).catch(() => {});
+    }
+  }
+
+  // ── Internals ────────────────────────────────────────────
+  async _createSession(signal) {
+    const res = await authenticatedKy
+      .post(E.start, {
+        json: {
+          file_name:  this.file.name,
+          file_size:  this.file.size,
+          mime_type:  this.file.type,
+          chunk_size: UPLOAD_CONFIG.chunkSize,
+        },
+        timeout: UPLOAD_CONFIG.requestTimeout,
+        signal,
+      })
+      .json();
+
+    const session = { uploadId: res.upload_id, chunkSize: UPLOAD_CONFIG.chunkSize, createdAt: Date.now() };
+    saveSession(this._fingerprint, session);
+    return session;
+  }
+
+  /**
+   * Chunk indexes the server already has. Resolves with `null` if the
+   * session is gone (404/410); any other failure resends everything.
+   */
+  async _fetchReceived(signal) {
+    try {
+      const res = await authenticatedKy
+        .get(E.status, { searchParams: { upload_id: this.uploadId }, timeout: UPLOAD_CONFIG.requestTimeout, signal })
+        .json();
+      return res.received || [];
+    } catch (err) {
+      if (signal.aborted) throw err;
+      if ([404, 410].includes(err.response?.status)) return null;
+      return [];
+    }
+  }
+
+  async _sendWithRetry(index, blob, signal, onChunkProgress) {
+    let renewed = false;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await sendChunk(this.uploadId, index, blob, signal, onChunkProgress);
+        return;
+      } catch (err) {
+        if (signal.aborted) throw err;
+
+        // Token expired mid-upload — refresh once and resend (rejects if the session is dead)
+        if (err.status === 401 && !renewed) {
+          renewed = true;
+          await renewSession();
+          continue;
+        }
+        if (!isRetryable(err) || attempt >= UPLOAD_CONFIG.maxRetries) throw err;
+
+        // Offline → wait for the connection; otherwise back off
+        if (!navigator.onLine) await waitForOnline(signal);
+        else await wait(UPLOAD_CONFIG.retryDelay * 2 ** attempt, signal);
+      }
+    }
+  }
+
+  _report(loaded) {
+    const total = this.file.size;
+    this.onProgress({ loaded, total, percent: total ? Math.round((loaded / total) * 100) : 100 });
+  }
+}
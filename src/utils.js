@@ -9,7 +9,8 @@
 import dayjs from 'https://esm.sh/dayjs@1.11.10';
 import relativeTime from 'https://esm.sh/dayjs@1.11.10/plugin/relativeTime';
 import updateLocale from 'https://esm.sh/dayjs@1.11.10/plugin/updateLocale';
-import { PLACEHOLDER } from './config.js';
+import { PLACEHOLDER, CHECKOUT_CONFIG, POST_CONFIG } from './config.js';
+import { creatorRoute } from './creator.js';
 
 // ─── DayJS One-Time Setup ────────────────────────────────────
 dayjs.extend(relativeTime);
@@ -48,6 +49,63 @@ export function timeAgoShort(dateStr) {
   return dayjs(dateStr).locale('en-short').fromNow(true);
 }
 
+// ─── Publish State ───────────────────────────────────────────
+/**
+ * Resolves a post's publish state from `status` + `publish_at`.
+ * A post past its `publish_at` counts as published even if the
+ * server hasn't flipped its status yet.
+ *
+ * @param {object} post
+ * @returns {'draft'|'scheduled'|'published'}
+ */
+export function getPublishState(post) {
+  if (post?.status === 'draft') return 'draft';
+  if (post?.publish_at && dayjs(post.publish_at).isAfter(dayjs())) return 'scheduled';
+  return 'published';
+}
+
+/**
+ * True if a post may be shown to fans. Fan-facing endpoints already
+ * leave unpublished posts out — this only guards against clock skew
+ * around publish_at, not access control.
+ */
+export function isPublished(post) {
+  return getPublishState(post) === 'published';
+}
+
+// ─── Post Media ──────────────────────────────────────────────
+/**
+ * Returns a post's media items in display order. Gallery posts carry
+ * a `media` array; single-file posts are normalised to one item.
+ *
+ * @param {object} post
+ * @returns {Array<{ id: number|null, content_type: string, display_url: string }>}
+ */
+export function getPostMedia(post) {
+  if (Array.isArray(post?.media) && post.media.length > 0) return post.media;
+  return [{ id: null, content_type: post?.content_type, display_url: post?.display_url }];
+}
+
+// ─── Post Permalinks ─────────────────────────────────────────
+/**
+ * Creator-scoped path of a post's permalink page: `/membership/post/<id>`,
+ * or `/membership/post?content_id=<id>` with POST_CONFIG.pathIds off
+ * (hosts that can't rewrite the path to the Webflow page).
+ *
+ * @param {number} contentId
+ * @param {object} [params] - Extra query params (e.g. { comment_id }).
+ * @returns {string}
+ */
+export function postPermalinkPath(contentId, params = {}) {
+  const query = new URLSearchParams();
+  if (!POST_CONFIG.pathIds) query.set('content_id', contentId);
+  Object.entries(params).forEach(([k, v]) => v != null && query.set(k, v));
+
+  const path = POST_CONFIG.pathIds ? `${POST_CONFIG.route}/${contentId}` : POST_CONFIG.route;
+  const search = query.toString();
+  return creatorRoute(search ? `${path}?${search}` : path);
+}
+
 // ─── Avatar / URL Formatting ─────────────────────────────────
 /**
  * Sanitises an avatar URL.
@@ -64,6 +122,27 @@ export function formatNumber(n) {
   return new Intl.NumberFormat('en-US', { notation: 'compact' }).format(n);
 }
 
+/** Escapes user text for interpolation into innerHTML / x-html. */
+export function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
+// ─── Pay-Per-View Helpers ────────────────────────────────────
+/** Formats a price in cents, e.g. 499 → "$4.99". */
+export function formatPrice(cents) {
+  return new Intl.NumberFormat(CHECKOUT_CONFIG.locale, {
+    style: 'currency',
+    currency: CHECKOUT_CONFIG.currency,
+  }).format((cents || 0) / 100);
+}
+
+/** True for a pay-per-view post/message this user hasn't bought. */
+export function isUnlockRequired(item) {
+  return item?.price > 0 && !item.unlocked;
+}
+
 // ─── Performance Helpers ─────────────────────────────────────
 /**
  * Debounce: delays execution until after `ms` of inactivity.
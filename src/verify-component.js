@@ -17,6 +17,8 @@
 import Alpine from 'https://esm.sh/alpinejs@3.13.3';
 import { API } from './api.js';
 import { AUTH_CONFIG } from './config.js';
+import { creatorRoute } from './creator.js';
+import { capturePromoFromUrl, getStoredPromo } from './promo.js';
 
 export function registerVerifyHandler() {
   Alpine.data('verifyHandler', () => ({
@@ -43,6 +45,9 @@ export function registerVerifyHandler() {
         });
       }
 
+      // Magic links carry the signup's ?promo= (may be another device)
+      capturePromoFromUrl();
+
       // Auto-verify if token is in URL
       const token = new URLSearchParams(window.location.search).get('token');
       if (token) {
@@ -89,7 +94,7 @@ export function registerVerifyHandler() {
 
         // Redirect after brief transition
         setTimeout(() => {
-          window.location.href = AUTH_CONFIG.routes.feed;
+          window.location.href = creatorRoute(AUTH_CONFIG.routes.feed);
         }, 1000);
       } catch (error) {
         this.isVerifying = false;
@@ -133,7 +138,9 @@ export function registerVerifyHandler() {
 
       try {
         await API.auth
-          .post('auth/send_magic_link', { json: { email: this.email } })
+          .post('auth/send_magic_link', {
+            json: { email: this.email, promo_code: getStoredPromo() || undefined },
+          })
           .json();
 
         this.status = 'success';